@@ -0,0 +1,311 @@
+const { Diff, Merge, Path, Storage } = require('../src');
+const { createDb, random } = require('./helpers');
+
+function lcsLength(a, b) {
+  const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      table[i][j] = a[i - 1] === b[j - 1]
+        ? table[i - 1][j - 1] + 1
+        : Math.max(table[i - 1][j], table[i][j - 1]);
+    }
+  }
+  return table[a.length][b.length];
+}
+
+function randomSequence(next, length, alphabet) {
+  return Array.from({ length: Math.floor(next() * length) }, () =>
+    alphabet[Math.floor(next() * alphabet.length)]);
+}
+
+function shuffle(next, array) {
+  const result = [...array];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(next() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+describe('Diff._longestCommonSubsequence', () => {
+  test('finds a longest common subsequence', () => {
+    const next = random(1);
+    
+    for (let run = 0; run < 300; run++) {
+      const a = randomSequence(next, 12, 'abcd');
+      const b = randomSequence(next, 12, 'abcd');
+      const pairs = Diff._longestCommonSubsequence(a, b);
+      
+      expect(pairs).toHaveLength(lcsLength(a, b));
+      pairs.forEach(([i, j], index) => {
+        expect(a[i]).toBe(b[j]);
+        if (index > 0) {
+          expect(i).toBeGreaterThan(pairs[index - 1][0]);
+          expect(j).toBeGreaterThan(pairs[index - 1][1]);
+        }
+      });
+    }
+  });
+  
+  test('handles empty and identical sequences', () => {
+    expect(Diff._longestCommonSubsequence([], ['a'])).toEqual([]);
+    expect(Diff._longestCommonSubsequence(['a', 'b'], ['a', 'b'])).toEqual([[0, 0], [1, 1]]);
+  });
+});
+
+describe('array diffs', () => {
+  test('apply turns the old array into the new one in lcs mode', () => {
+    const next = random(2);
+    
+    for (let run = 0; run < 300; run++) {
+      const oldDoc = { list: randomSequence(next, 10, 'abc') };
+      const newDoc = { list: randomSequence(next, 10, 'abc') };
+      const diff = Diff.generate(oldDoc, newDoc, { arrays: 'lcs' });
+      
+      expect(Diff.apply(oldDoc, diff)).toEqual(newDoc);
+      expect(Diff.apply(newDoc, Diff.invert(oldDoc, diff))).toEqual(oldDoc);
+    }
+  });
+  
+  test('apply reproduces moves, inserts and removals of elements with an identity', () => {
+    const next = random(3);
+    const options = { identity: ['users[*].id'] };
+    
+    for (let run = 0; run < 300; run++) {
+      const ids = shuffle(next, [1, 2, 3, 4, 5, 6, 7, 8]);
+      const oldUsers = ids.slice(0, 5).map(id => ({ id, name: `user ${id}` }));
+      const newUsers = shuffle(next, ids.slice(2))
+        .map(id => ({ id, name: next() < 0.3 ? `renamed ${id}` : `user ${id}` }));
+      const diff = Diff.generate({ users: oldUsers }, { users: newUsers }, options);
+      
+      expect(Diff.apply({ users: oldUsers }, diff)).toEqual({ users: newUsers });
+    }
+  });
+  
+  test('reports element changes as array operations', () => {
+    const diff = Diff.generate(
+      { users: [{ id: 1 }, { id: 2 }] },
+      { users: [{ id: 0 }, { id: 1 }, { id: 2 }] },
+      { identity: ['users[*].id'] }
+    );
+    
+    expect(diff.arrays).toEqual([
+      { path: 'users', key: 'id', ops: [{ op: 'insert', index: 0, value: { id: 0 } }] }
+    ]);
+  });
+  
+  test('applyArrayOps applies operations in order', () => {
+    expect(Diff.applyArrayOps(['a', 'b', 'c'], [
+      { op: 'remove', index: 0 },
+      { op: 'insert', index: 2, value: 'd' },
+      { op: 'move', from: 0, to: 1 }
+    ])).toEqual(['c', 'b', 'd']);
+    expect(() => Diff.applyArrayOps([], [{ op: 'swap' }])).toThrow("Unknown array operation 'swap'");
+  });
+});
+
+describe('three-way array merge', () => {
+  const merge = new Merge(null, null, { diff: { identity: ['items[*].id'] } });
+  const items = (...ids) => ids.map(id => ({ id }));
+  
+  test('keeps concurrent inserts from both sides', async () => {
+    const result = await merge.threeWayMerge(
+      { items: items(1, 2, 3) },
+      { items: items(1, 4, 2, 3) },
+      { items: items(1, 2, 3, 5) }
+    );
+    
+    expect(result.hasConflicts).toBe(false);
+    expect(result.merged.items).toEqual(items(1, 4, 2, 3, 5));
+  });
+  
+  test('combines a move on one side with an edit on the other', async () => {
+    const result = await merge.threeWayMerge(
+      { items: [{ id: 1 }, { id: 2, v: 0 }, { id: 3 }] },
+      { items: [{ id: 2, v: 0 }, { id: 1 }, { id: 3 }] },
+      { items: [{ id: 1 }, { id: 2, v: 1 }, { id: 3 }] }
+    );
+    
+    expect(result.hasConflicts).toBe(false);
+    expect(result.merged.items).toEqual([{ id: 2, v: 1 }, { id: 1 }, { id: 3 }]);
+  });
+  
+  test('reports a conflict when an element is removed on one side and edited on the other', async () => {
+    const result = await merge.threeWayMerge(
+      { items: [{ id: 1, v: 0 }, { id: 2 }] },
+      { items: [{ id: 2 }] },
+      { items: [{ id: 1, v: 1 }, { id: 2 }] }
+    );
+    
+    expect(result.hasConflicts).toBe(true);
+    expect(result.conflicts.map(conflict => conflict.path)).toEqual(['items']);
+  });
+  
+  test('merges disjoint inserts and removals without conflicts', async () => {
+    const next = random(4);
+    
+    for (let run = 0; run < 200; run++) {
+      const ancestor = shuffle(next, [1, 2, 3, 4, 5, 6]);
+      const edit = (fresh) => {
+        const kept = ancestor.filter(() => next() < 0.8);
+        for (const id of fresh) {
+          kept.splice(Math.floor(next() * (kept.length + 1)), 0, id);
+        }
+        return kept;
+      };
+      const source = edit([10, 11]);
+      const target = edit([20]);
+      
+      const result = await merge.threeWayMerge(
+        { items: items(...ancestor) },
+        { items: items(...source) },
+        { items: items(...target) }
+      );
+      const merged = result.merged.items.map(item => item.id);
+      const expected = ancestor.filter(id => source.includes(id) && target.includes(id));
+      
+      expect(result.hasConflicts).toBe(false);
+      expect([...merged].sort((a, b) => a - b)).toEqual([...expected, 10, 11, 20].sort((a, b) => a - b));
+      expect(merged.filter(id => id < 10)).toEqual(expected);
+    }
+  });
+});
+
+describe('conflicts', () => {
+  const conflicts = (ancestor, a, b) => Diff.findConflicts(Diff.generate(ancestor, a), Diff.generate(ancestor, b));
+  const ancestor = { settings: { theme: 'light', lang: 'en' }, a: { b: 1 } };
+  
+  test('are not reported for changes to different keys of an object', () => {
+    expect(conflicts(
+      ancestor,
+      { ...ancestor, settings: { theme: 'dark', lang: 'en' } },
+      { ...ancestor, settings: { theme: 'light', lang: 'de' } }
+    )).toEqual([]);
+  });
+  
+  test('are not reported when both sides make the same change', () => {
+    const changed = { settings: { theme: 'dark', lang: 'en' }, c: 1 };
+    expect(conflicts(ancestor, changed, changed)).toEqual([]);
+  });
+  
+  test('are reported at the containing path when a deletion or replacement overlaps an edit', () => {
+    expect(conflicts(ancestor, { settings: ancestor.settings }, { ...ancestor, a: { b: 2 } })).toEqual(['a']);
+    expect(conflicts(
+      ancestor,
+      { ...ancestor, settings: 'default' },
+      { ...ancestor, settings: { theme: 'dark', lang: 'en' } }
+    )).toEqual(['settings']);
+    expect(conflicts(ancestor, { ...ancestor, a: { b: 2 } }, { ...ancestor, a: { b: 3 } })).toEqual(['a.b']);
+  });
+  
+  test('carry the value of each side in a merge', async () => {
+    const result = await new Merge(null, null).threeWayMerge(
+      ancestor,
+      { ...ancestor, settings: 'default' },
+      { ...ancestor, settings: { theme: 'dark', lang: 'en' } }
+    );
+    
+    expect(result.conflicts).toEqual([expect.objectContaining({
+      path: 'settings',
+      ancestor: expect.objectContaining({ value: ancestor.settings }),
+      source: expect.objectContaining({ value: 'default' }),
+      target: expect.objectContaining({ value: { theme: 'dark', lang: 'en' } })
+    })]);
+    expect(result.merged.settings).toEqual({ theme: 'dark', lang: 'en' });
+  });
+});
+
+describe('JSON Patch', () => {
+  const before = { settings: { theme: 'light' }, list: [1, 2, 3], gone: true };
+  const after = { settings: { theme: 'dark', 'a/b': 1, 'm~n': 2, 'example.com': { on: true } }, list: [1, 3, 4] };
+  
+  test('escapes keys as JSON Pointers and reproduces the diff', () => {
+    const operations = Diff.toJsonPatch(Diff.generate(before, after));
+    
+    const paths = operations.map(operation => operation.path);
+    expect(paths).toEqual(expect.arrayContaining(['/settings/a~1b', '/settings/m~0n', '/settings/example.com', '/gone']));
+    expect(Diff.applyJsonPatch(before, operations)).toEqual(after);
+    expect(Diff.fromJsonPatch(operations, before)).toEqual(Diff.generate(before, after));
+  });
+  
+  test('parses pointers back into raw keys', () => {
+    expect(Diff.parsePointer('/settings/a~1b/m~0n/~01')).toEqual(['settings', 'a/b', 'm~n', '~1']);
+    expect(Diff.parsePointer('')).toEqual([]);
+    expect(Diff.toPointer('settings.example\\.com')).toBe('/settings/example.com');
+    expect(() => Diff.parsePointer('settings')).toThrow('Invalid JSON Pointer');
+  });
+  
+  test('checks test operations and leaves the object untouched when one fails', () => {
+    const operations = [
+      { op: 'replace', path: '/settings/theme', value: 'dark' },
+      { op: 'test', path: '/settings/theme', value: 'light' }
+    ];
+    
+    expect(() => Diff.applyJsonPatch(before, operations)).toThrow('JSON Patch operation 1 (test /settings/theme) failed: test did not match');
+    expect(before.settings.theme).toBe('light');
+    expect(Diff.applyJsonPatch(before, [{ op: 'test', path: '/list', value: [1, 2, 3] }, operations[0]]).settings.theme).toBe('dark');
+  });
+  
+  test('commits a patch on top of the branch head only when its tests pass', async () => {
+    const db = await createDb();
+    await db.commit('main', before, 'before');
+    const head = await db.resolve('main');
+    
+    await expect(db.patch('main', [
+      { op: 'test', path: '/settings/theme', value: 'dark' },
+      { op: 'remove', path: '/gone' }
+    ])).rejects.toThrow('test did not match');
+    expect(await db.resolve('main')).toBe(head);
+    
+    const commit = await db.patch('main', [
+      { op: 'test', path: '/settings/theme', value: 'light' },
+      { op: 'add', path: '/settings/a~1b', value: 1 }
+    ], 'patched');
+    
+    expect(commit.parents).toEqual([head]);
+    expect(await db.getBranchData('main')).toEqual({ ...before, settings: { theme: 'light', 'a/b': 1 } });
+    expect((await db.reflog('main'))[0]).toMatchObject({ operation: 'patch', message: 'patched' });
+  });
+});
+
+describe('keys containing dots', () => {
+  const before = { domains: { 'example.com': { on: false }, 'a\\b': 1 } };
+  const after = { domains: { 'example.com': { on: true }, 'a\\b': 2, 'new.org': {} } };
+  
+  test('are escaped in path strings and parsed back', () => {
+    expect(Path.stringify(['domains', 'example.com', 'a\\b'])).toBe('domains.example\\.com.a\\\\b');
+    expect(Path.parse('domains.example\\.com.a\\\\b')).toEqual(['domains', 'example.com', 'a\\b']);
+    expect(Path.join('domains', 'example.com')).toBe('domains.example\\.com');
+    expect(Path.relation('domains.example\\.com', 'domains.example.com')).toBeNull();
+    expect(Path.relation('domains', ['domains', 'example.com'])).toBe('ancestor');
+  });
+  
+  test('are read and written as single keys', () => {
+    expect(Storage.getValueAtPath(before, 'domains.example\\.com.on')).toBe(false);
+    expect(Storage.setValueAtPath(before, ['domains', 'example.com', 'on'], true)).toEqual({
+      domains: { 'example.com': { on: true }, 'a\\b': 1 }
+    });
+  });
+  
+  test('diff and apply without splitting keys', () => {
+    const diff = Diff.generate(before, after);
+    
+    expect(diff.added.map(item => item.path)).toEqual(['domains.new\\.org']);
+    expect(diff.modified.map(item => item.path).sort()).toEqual(['domains.a\\\\b', 'domains.example\\.com.on']);
+    expect(Diff.apply(before, diff)).toEqual(after);
+  });
+  
+  test('merge and take resolutions at escaped paths', async () => {
+    const db = await createDb();
+    await db.commit('main', before, 'base');
+    await db.branch('feature', 'main');
+    await db.commit('feature', { domains: { 'example.com': { on: true }, 'a\\b': 2 } }, 'feature');
+    await db.commit('main', { domains: { 'example.com': { on: false }, 'a\\b': 3, 'new.org': {} } }, 'main');
+    
+    const result = await db.merge('feature', 'main');
+    expect(result.getConflicts().map(conflict => conflict.path)).toEqual(['domains.a\\\\b']);
+    
+    await result.resolveWith({ 'domains.a\\\\b': 4 });
+    expect(await db.getBranchData('main')).toEqual({ domains: { 'example.com': { on: true }, 'a\\b': 4, 'new.org': {} } });
+  });
+});
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TemporalDB, FileSystemAdapter, RefConflictError } = require('../src');
+
+const hash = (n) => n.toString(16).padStart(64, '0');
+
+describe('FileSystemAdapter', () => {
+  let directory;
+  
+  beforeEach(async () => {
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'temporal-db-'));
+  });
+  
+  afterEach(async () => {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  });
+  
+  async function open() {
+    const adapter = new FileSystemAdapter({ directory });
+    await adapter.init();
+    return adapter;
+  }
+  
+  test('reads back objects, commits and refs after reopening', async () => {
+    const adapter = await open();
+    await adapter.write({
+      objects: [{ hash: hash(1), json: '{"type":"number","value":1}' }],
+      commits: [{ hash: hash(2), rootHash: hash(1), parents: [] }],
+      refs: [{ name: 'branch/main', value: hash(2), expected: null, log: { operation: 'commit' } }]
+    });
+    
+    const reopened = await open();
+    
+    expect(await reopened.getObject(hash(1))).toBe('{"type":"number","value":1}');
+    expect(await reopened.hasObjects([hash(1), hash(3)])).toEqual(new Set([hash(1)]));
+    expect(await reopened.getCommit(hash(2))).toEqual({ hash: hash(2), rootHash: hash(1), parents: [] });
+    expect(await reopened.listRefs('branch/')).toEqual({ 'branch/main': hash(2) });
+    expect(await reopened.getReflog('branch/main')).toEqual([
+      { ref: 'branch/main', old: null, new: hash(2), operation: 'commit' }
+    ]);
+    
+    await reopened.deleteObjects([hash(1)]);
+    await reopened.deleteCommit(hash(2));
+    expect(await reopened.getObject(hash(1))).toBeNull();
+    expect(await reopened.listCommits()).toEqual([]);
+  });
+  
+  test('rejects a batch with a stale expectation without writing any of it', async () => {
+    const adapter = await open();
+    await adapter.write({ refs: [{ name: 'branch/main', value: hash(1), log: {} }] });
+    
+    await expect(adapter.write({
+      objects: [{ hash: hash(3), json: '{}' }],
+      commits: [{ hash: hash(4), parents: [] }],
+      refs: [{ name: 'branch/main', value: hash(4), expected: hash(2), log: {} }]
+    })).rejects.toThrow(RefConflictError);
+    
+    expect(await adapter.getRef('branch/main')).toBe(hash(1));
+    expect(await adapter.listObjects()).toEqual([]);
+    expect(await adapter.listCommits()).toEqual([]);
+    expect(await adapter.getReflog()).toHaveLength(1);
+  });
+  
+  test('skips a reflog line torn by a crash and appends after it', async () => {
+    const adapter = await open();
+    await adapter.write({ refs: [{ name: 'branch/main', value: hash(1), log: { operation: 'commit' } }] });
+    await fs.promises.appendFile(path.join(directory, 'reflog.jsonl'), '{"ref":"branch/main","ol');
+    
+    expect(await adapter.getReflog()).toHaveLength(1);
+    
+    const reopened = await open();
+    await reopened.write({ refs: [{ name: 'branch/main', value: hash(2), log: { operation: 'commit' } }] });
+    
+    expect((await reopened.getReflog()).map(entry => entry.new)).toEqual([hash(1), hash(2)]);
+  });
+  
+  test('logs a ref update whose reflog append was interrupted', async () => {
+    const adapter = await open();
+    await adapter.write({ refs: [{ name: 'branch/main', value: hash(1), log: { operation: 'commit' } }] });
+    
+    // refs.json was replaced, then the process stopped before appending
+    const entry = { ref: 'branch/main', old: hash(1), new: hash(2), operation: 'commit' };
+    await fs.promises.writeFile(path.join(directory, 'refs.json'),
+      JSON.stringify({ refs: { 'branch/main': hash(2) }, reflog: [entry] }));
+    
+    await open();
+    const reopened = await open();
+    
+    expect(await reopened.getRef('branch/main')).toBe(hash(2));
+    expect((await reopened.getReflog()).map(logged => logged.new)).toEqual([hash(1), hash(2)]);
+  });
+  
+  test('reads refs stored without pending reflog entries', async () => {
+    await fs.promises.writeFile(path.join(directory, 'refs.json'), JSON.stringify({ 'branch/main': hash(1) }));
+    
+    const adapter = await open();
+    
+    expect(await adapter.getRef('branch/main')).toBe(hash(1));
+  });
+  
+  test('refuses names that are not hashes as object and commit files', async () => {
+    const adapter = await open();
+    
+    await expect(adapter.putObjects([{ hash: '../refs.json', json: '{}' }])).rejects.toThrow('Invalid object hash');
+    await expect(adapter.putCommit({ hash: '../../escape' })).rejects.toThrow('Invalid commit hash');
+    expect(await adapter.getObject('../refs.json')).toBeNull();
+    expect(await adapter.getCommit('../refs')).toBeNull();
+  });
+  
+  test('keeps a database across instances', async () => {
+    const db = new TemporalDB({ storage: new FileSystemAdapter({ directory }) });
+    await db.init();
+    await db.commit('main', { settings: { theme: 'dark' } }, 'theme');
+    
+    const reopened = new TemporalDB({ storage: new FileSystemAdapter({ directory }) });
+    await reopened.init();
+    
+    expect(await reopened.getBranchData('main')).toEqual({ settings: { theme: 'dark' } });
+    expect((await reopened.getHistory('main')).map(commit => commit.message)).toEqual(['theme', 'Initial commit']);
+  });
+});
@@ -0,0 +1,113 @@
+const { createDb, tick } = require('./helpers');
+
+const sweepAll = { gracePeriod: 0, reflogExpiry: 0 };
+
+describe('gc', () => {
+  test('sweeps the history of a deleted branch and keeps everything reachable', async () => {
+    const db = await createDb();
+    await db.commit('main', { shared: { a: 1 } }, 'base');
+    await db.branch('scratch', 'main');
+    const dropped = await db.commit('scratch', { shared: { a: 1 }, tmp: [1, 2, 3] }, 'scratch');
+    await db.commit('main', { shared: { a: 1 }, b: 2 }, 'main');
+    await db.deleteBranch('scratch');
+    await tick();
+    
+    const report = await db.gc(sweepAll);
+    
+    expect(report.commits).toBe(1);
+    expect(report.objects).toBeGreaterThan(0);
+    expect(await db.storage.getCommit(dropped.hash)).toBeNull();
+    expect(await db.getBranchData('main')).toEqual({ shared: { a: 1 }, b: 2 });
+    expect(await db.getDataAtCommit('main~1')).toEqual({ shared: { a: 1 } });
+    
+    expect((await db.gc(sweepAll)).commits).toBe(0);
+  });
+  
+  test('only reports in a dry run', async () => {
+    const db = await createDb();
+    await db.branch('scratch', 'main');
+    const dropped = await db.commit('scratch', { tmp: 1 }, 'scratch');
+    await db.deleteBranch('scratch');
+    await tick();
+    
+    const report = await db.gc({ ...sweepAll, dryRun: true });
+    
+    expect(report).toMatchObject({ dryRun: true, commits: 1 });
+    expect(await db.storage.getCommit(dropped.hash)).not.toBeNull();
+    expect(await db.gc(sweepAll)).toMatchObject({ commits: 1, objects: report.objects });
+  });
+  
+  test('keeps unreachable commits within the grace period or referenced by the reflog', async () => {
+    const db = await createDb();
+    await db.branch('scratch', 'main');
+    const dropped = await db.commit('scratch', { tmp: 1 }, 'scratch');
+    await db.deleteBranch('scratch');
+    await tick();
+    
+    expect((await db.gc()).commits).toBe(0);
+    expect((await db.gc({ gracePeriod: 0 })).commits).toBe(0);
+    
+    await db.restoreRef('scratch', 0);
+    expect(await db.getBranchData('scratch')).toEqual({ tmp: 1 });
+    expect(await db.resolve('scratch')).toBe(dropped.hash);
+  });
+  
+  test('keeps tagged commits and annotated tag objects', async () => {
+    const db = await createDb();
+    await db.branch('release', 'main');
+    const tagged = await db.commit('release', { version: 1 }, 'release');
+    await db.tag('v1', 'release', { message: 'First release' });
+    await db.deleteBranch('release');
+    await tick();
+    
+    await db.gc(sweepAll);
+    
+    expect(await db.resolve('v1')).toBe(tagged.hash);
+    expect(await db.getDataAtCommit('v1')).toEqual({ version: 1 });
+    expect((await db.listTags())[0]).toMatchObject({ name: 'v1', message: 'First release' });
+  });
+  
+  test('keeps nodes a commit reuses while the sweep runs', async () => {
+    const db = await createDb();
+    const subtree = { big: { list: [1, 2, 3], nested: { c: 'x' } } };
+    await db.branch('scratch', 'main');
+    await db.commit('scratch', subtree, 'scratch');
+    await db.deleteBranch('scratch');
+    await tick();
+    
+    // The commit lands after marking, between deleting commits and objects
+    const deleteCommit = db.storage.deleteCommit.bind(db.storage);
+    let committed = false;
+    db.storage.deleteCommit = async (hash) => {
+      await deleteCommit(hash);
+      if (!committed) {
+        committed = true;
+        await db.commit('main', { ...subtree, more: 1 }, 'reuse');
+      }
+    };
+    
+    await db.gc(sweepAll);
+    
+    expect(committed).toBe(true);
+    expect(await db.getBranchData('main')).toEqual({ ...subtree, more: 1 });
+  });
+  
+  test('collects the history a retention run squashed', async () => {
+    const db = await createDb();
+    for (let i = 0; i < 10; i++) {
+      await db.commit('main', { counter: i }, `commit ${i}`);
+    }
+    await tick();
+    
+    const result = await db.applyRetention('main', {
+      policy: [{ every: 365 * 24 * 60 * 60 * 1000 }],
+      now: Date.now() + 24 * 60 * 60 * 1000,
+      gc: { gracePeriod: 0 }
+    });
+    
+    expect(result.dropped).toBeGreaterThan(0);
+    expect(result.gc.commits).toBeGreaterThanOrEqual(result.dropped);
+    expect(await db.getBranchData('main')).toEqual({ counter: 9 });
+    await expect(db.restoreRef('main', 0)).rejects.toThrow('removed by gc()');
+  });
+});
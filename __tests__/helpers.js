@@ -0,0 +1,37 @@
+const { TemporalDB, MemoryAdapter } = require('../src');
+
+/**
+ * Create an initialized database on a fresh memory adapter
+ * @param {Object} [options] - Further TemporalDB options
+ * @returns {Promise<TemporalDB>} Database
+ */
+async function createDb(options = {}) {
+  const db = new TemporalDB({ storage: new MemoryAdapter(), ...options });
+  await db.init();
+  return db;
+}
+
+/**
+ * Wait until the clock has moved past the last write, so timestamps and
+ * zero grace periods do not land on the same millisecond
+ * @returns {Promise<void>}
+ */
+function tick() {
+  return new Promise(resolve => setTimeout(resolve, 2));
+}
+
+/**
+ * Small seeded generator so failures reproduce
+ * @param {number} seed - Seed
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = { createDb, tick, random };
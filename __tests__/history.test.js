@@ -0,0 +1,384 @@
+const { Diff } = require('../src');
+const { createDb, tick } = require('./helpers');
+
+describe('diffRevisions', () => {
+  const before = { settings: { theme: 'light', lang: 'en' }, users: [1, 2, 3], old: true };
+  const after = { settings: { theme: 'dark', lang: 'en' }, users: [1, 5], added: { x: 1 } };
+  
+  test('diffs two revisions like diff() does on their data', async () => {
+    const db = await createDb();
+    await db.commit('main', before, 'before');
+    await db.tag('v1', 'main');
+    await db.commit('main', after, 'after');
+    
+    const diff = await db.diffRevisions('v1', 'main');
+    const expected = Diff.generate(before, after);
+    const sorted = items => [...items].sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)));
+    
+    expect(sorted(diff.added)).toEqual(sorted(expected.added));
+    expect(sorted(diff.modified)).toEqual(sorted(expected.modified));
+    expect(sorted(diff.deleted)).toEqual(sorted(expected.deleted));
+    expect(diff.summary).toEqual({ added: 1, modified: 2, deleted: 2 });
+    expect(db.applyDiff(before, diff)).toEqual(after);
+  });
+  
+  test('limits the diff to paths and accepts points in time', async () => {
+    const db = await createDb();
+    const first = await db.commit('main', before, 'before');
+    await tick();
+    await db.commit('main', after, 'after');
+    
+    const diff = await db.diffRevisions(first.timestamp, 'main', { paths: ['settings', 'settings.lang'] });
+    
+    expect(diff.modified).toEqual([{ path: 'settings.theme', value: 'dark' }]);
+    expect(diff.summary).toEqual({ added: 0, modified: 1, deleted: 0 });
+  });
+  
+  test('handles keys named like object properties', async () => {
+    const db = await createDb();
+    await db.commit('main', { a: 1 }, 'one');
+    await db.commit('main', { a: 1, constructor: 2 }, 'two');
+    
+    expect((await db.diffRevisions('main~1', 'main')).added).toEqual([{ path: 'constructor', value: 2 }]);
+    expect((await db.diffRevisions('main', 'main~1')).deleted).toEqual(['constructor']);
+  });
+});
+
+describe('pathHistory and blame', () => {
+  async function createHistory() {
+    const db = await createDb();
+    const first = await db.commit('main', { title: 'a', body: { text: 'x' }, constructor: 1 }, 'first');
+    await tick();
+    const second = await db.commit('main', { title: 'b', body: { text: 'x' }, constructor: 1 }, 'second');
+    await tick();
+    const third = await db.commit('main', { title: 'b', body: { text: 'y' }, constructor: 2 }, 'third');
+    return { db, first, second, third };
+  }
+  
+  test('lists the commits that changed a path, most recent first', async () => {
+    const { db, first, second } = await createHistory();
+    
+    const history = await db.pathHistory('title', { branch: 'main' });
+    
+    expect(history.map(change => change.commit.hash)).toEqual([second.hash, first.hash]);
+    expect(history.map(change => [change.oldValue, change.newValue])).toEqual([['a', 'b'], [undefined, 'a']]);
+  });
+  
+  test('limits the history to a time range', async () => {
+    const { db, second, third } = await createHistory();
+    
+    const history = await db.pathHistory('body', { branch: 'main', since: second.timestamp });
+    
+    expect(history.map(change => change.commit.hash)).toEqual([third.hash]);
+    expect(history[0].oldValue).toEqual({ text: 'x' });
+    expect(await db.pathHistory('title', { branch: 'main', until: second.timestamp - 1 }))
+      .toHaveLength(1);
+  });
+  
+  test('follows keys named like object properties', async () => {
+    const { db, first, third } = await createHistory();
+    
+    const history = await db.pathHistory('constructor', { branch: 'main' });
+    expect(history.map(change => change.commit.hash)).toEqual([third.hash, first.hash]);
+    expect(await db.pathHistory('toString', { branch: 'main' })).toEqual([]);
+  });
+  
+  test('lists a change merged in from another branch once', async () => {
+    const db = await createDb();
+    await db.commit('main', { a: 1, b: 1 }, 'base');
+    await db.branch('feature', 'main');
+    const onFeature = await db.commit('feature', { a: 1, b: 2 }, 'feature');
+    const onMain = await db.commit('main', { a: 3, b: 1 }, 'main');
+    await (await db.merge('feature', 'main')).apply();
+    
+    const hashes = async path => (await db.pathHistory(path, { branch: 'main' })).map(change => change.commit.hash);
+    const base = await db.resolve('main~1~1');
+    
+    expect(await hashes('b')).toEqual([onFeature.hash, base]);
+    expect(await hashes('a')).toEqual([onMain.hash, base]);
+  });
+  
+  test('lists a merge that resolved a conflict with a new value', async () => {
+    const db = await createDb();
+    await db.commit('main', { a: 1 }, 'base');
+    await db.branch('feature', 'main');
+    await db.commit('feature', { a: 2 }, 'feature');
+    await db.commit('main', { a: 3 }, 'main');
+    const merge = await (await db.merge('feature', 'main')).resolveWith({ a: 4 });
+    
+    const history = await db.pathHistory('a', { branch: 'main' });
+    
+    expect(history[0].commit.hash).toBe(merge.hash);
+    expect([history[0].oldValue, history[0].newValue]).toEqual([3, 4]);
+    expect(history.map(change => change.commit.message).sort()).toEqual(['base', 'feature', 'main', merge.message].sort());
+  });
+  
+  test('blames each leaf on the commit that last set it', async () => {
+    const { db, first, second, third } = await createHistory();
+    
+    const blame = await db.blame('main');
+    
+    expect(Object.keys(blame).sort()).toEqual(['body.text', 'constructor', 'title']);
+    expect(blame.title.hash).toBe(second.hash);
+    expect(blame['body.text'].hash).toBe(third.hash);
+    expect(blame.constructor.hash).toBe(third.hash);
+    expect((await db.blame('main~2')).title.hash).toBe(first.hash);
+  });
+  
+  test('blames a value kept through a merge on the branch that set it', async () => {
+    const db = await createDb();
+    await db.commit('main', { a: 1, b: 1 }, 'base');
+    await db.branch('feature', 'main');
+    const onFeature = await db.commit('feature', { a: 1, b: 2 }, 'feature');
+    const onMain = await db.commit('main', { a: 3, b: 1 }, 'main');
+    
+    const merge = await db.merge('feature', 'main');
+    await merge.apply();
+    const blame = await db.blame('main');
+    
+    expect(blame.a.hash).toBe(onMain.hash);
+    expect(blame.b.hash).toBe(onFeature.hash);
+  });
+});
+
+describe('revisions', () => {
+  test('resolve ancestors, parents, dates, tags and short hashes', async () => {
+    const db = await createDb();
+    const first = await db.commit('main', { n: 1 }, 'first');
+    await db.branch('feature', 'main');
+    await tick();
+    const second = await db.commit('main', { n: 2 }, 'second');
+    const onFeature = await db.commit('feature', { n: 1, f: 1 }, 'feature');
+    const merge = await db.merge('feature', 'main');
+    await merge.apply();
+    await db.tag('v1', 'main~1');
+    
+    expect(await db.resolve('main~1')).toBe(second.hash);
+    expect(await db.resolve('main^2')).toBe(onFeature.hash);
+    expect(await db.resolve('main~2')).toBe(first.hash);
+    expect(await db.resolve(`main@{${new Date(first.timestamp).toISOString()}}`)).toBe(first.hash);
+    expect(await db.resolve('v1')).toBe(second.hash);
+    expect(await db.resolve(first.hash.slice(0, 12))).toBe(first.hash);
+    await expect(db.resolve('main~9')).rejects.toThrow('no such ancestor');
+  });
+  
+  test('read HEAD@{n} from the branch HEAD was on at that move', async () => {
+    const db = await createDb();
+    const first = await db.commit('main', { n: 1 }, 'first');
+    await db.branch('feature', 'main');
+    await db.checkout('feature');
+    const onFeature = await db.commit('feature', { n: 2 }, 'feature');
+    await db.checkout('main');
+    
+    // Both branches move on after HEAD left them
+    await db.commit('main', { n: 3 }, 'later on main');
+    await db.commit('feature', { n: 4 }, 'later on feature');
+    
+    expect(await db.resolve('HEAD@{1}')).toBe(onFeature.hash);
+    expect(await db.resolve('HEAD@{2}')).toBe(first.hash);
+    await expect(db.resolve('HEAD@{9}')).rejects.toThrow('reflog');
+  });
+  
+  test('resolve a name used for a tag and a branch to the tag everywhere', async () => {
+    const db = await createDb();
+    await db.commit('main', { n: 1 }, 'tagged');
+    await db.tag('release', 'main');
+    await db.branch('release', 'main');
+    await db.commit('release', { n: 2 }, 'on the branch');
+    
+    expect(await db.getDataAtCommit('release')).toEqual({ n: 1 });
+    expect(await db.getBranchData('release')).toEqual({ n: 1 });
+    expect(await db.get('n', { branch: 'release' })).toBe(1);
+    expect((await db.getHistory('release'))[0].message).toBe('tagged');
+    expect((await db.pathHistory('n', { branch: 'release' }))[0].commit.message).toBe('tagged');
+  });
+});
+
+describe('getHistory', () => {
+  const messages = (history) => history.map(commit => commit.message);
+  
+  // main: Initial commit - base - main 1 - merge, feature: base - feature 1 - feature 2
+  async function forked() {
+    const db = await createDb();
+    await db.commit('main', { a: 0, b: 0 }, 'base');
+    await db.branch('feature', 'main');
+    await tick();
+    await db.commit('feature', { a: 1, b: 0 }, 'feature 1');
+    await tick();
+    await db.commit('main', { a: 0, b: 1 }, 'main 1');
+    await tick();
+    await db.commit('feature', { a: 2, b: 0 }, 'feature 2');
+    await tick();
+    await (await db.merge('feature', 'main')).apply('merge');
+    return db;
+  }
+  
+  test('walks the parents from the head, including forked and merged history', async () => {
+    const db = await forked();
+    
+    expect(messages(await db.getHistory('feature'))).toEqual(['feature 2', 'feature 1', 'base', 'Initial commit']);
+    expect(messages(await db.getHistory('main'))).toEqual(['merge', 'feature 2', 'main 1', 'feature 1', 'base', 'Initial commit']);
+    expect(messages(await db.getHistory('main', { firstParent: true }))).toEqual(['merge', 'main 1', 'base', 'Initial commit']);
+  });
+  
+  test('pages with limit, offset and cursor and stops at a commit', async () => {
+    const db = await forked();
+    
+    const first = await db.getHistory('main', { limit: 2 });
+    expect(messages(first)).toEqual(['merge', 'feature 2']);
+    expect(messages(await db.getHistory('main', { limit: 2, offset: 2 }))).toEqual(['main 1', 'feature 1']);
+    expect(messages(await db.getHistory('main', { limit: 2, cursor: first[1].hash }))).toEqual(['main 1', 'feature 1']);
+    expect(messages(await db.getHistory('main', { stopAt: 'feature~1' }))).toEqual(['merge', 'feature 2', 'main 1']);
+  });
+  
+  test('filters by the paths a commit changed against its first parent', async () => {
+    const db = await forked();
+    
+    expect(messages(await db.getHistory('main', { paths: 'a' }))).toEqual(['merge', 'feature 2', 'feature 1', 'base']);
+    expect(messages(await db.getHistory('main', { paths: ['b'], firstParent: true }))).toEqual(['main 1', 'base']);
+    expect(messages(await db.getHistory('main', { paths: ['a'], limit: 1, offset: 1 }))).toEqual(['feature 2']);
+  });
+});
+
+describe('reads by path', () => {
+  const large = {
+    settings: { theme: 'dark', 'example.com': { on: true } },
+    users: Array.from({ length: 50 }, (_, i) => ({ id: i, name: `user ${i}` }))
+  };
+  
+  test('read a path at HEAD, a branch, a commit or a point in time', async () => {
+    const db = await createDb();
+    const first = await db.commit('main', { settings: { theme: 'light' } }, 'first');
+    await tick();
+    const between = Date.now();
+    await tick();
+    await db.commit('main', large, 'second');
+    await db.branch('feature', 'main');
+    await db.commit('feature', { ...large, settings: { theme: 'blue' } }, 'feature');
+    
+    expect(await db.get('settings.theme')).toBe('dark');
+    expect(await db.get(['settings', 'example.com', 'on'])).toBe(true);
+    expect(await db.get('settings.example\\.com.on')).toBe(true);
+    expect(await db.get('settings.theme', { branch: 'feature' })).toBe('blue');
+    expect(await db.get('settings.theme', { commit: first.hash })).toBe('light');
+    expect(await db.get('settings', { at: between })).toEqual({ theme: 'light' });
+    expect(await db.get('settings.missing')).toBeUndefined();
+    expect(await db.get('.', { commit: first.hash })).toEqual({ settings: { theme: 'light' } });
+  });
+  
+  test('load only the nodes along the path', async () => {
+    const db = await createDb();
+    await db.commit('main', large, 'large');
+    const get = jest.spyOn(db.storage, 'get');
+    
+    expect(await db.get('settings.theme')).toBe('dark');
+    
+    // The root, 'settings' and the 'theme' leaf
+    expect(get).toHaveBeenCalledTimes(3);
+  });
+  
+  test('fetch the children of a tree view on demand', async () => {
+    const db = await createDb();
+    await db.commit('main', large, 'large');
+    const tree = await db.tree({ branch: 'main' });
+    const get = jest.spyOn(db.storage, 'get');
+    
+    expect(await tree.type()).toBe('object');
+    expect(await tree.keys()).toEqual(['settings', 'users']);
+    expect(await tree.has('users.49')).toBe(true);
+    expect(await tree.has('users.50')).toBe(false);
+    expect(await tree.get('users.3.name')).toBe('user 3');
+    expect(await tree.proxy().settings.theme).toBe('dark');
+    expect(await (await tree.node('settings')).get('example\\.com')).toEqual({ on: true });
+    expect(get.mock.calls.length).toBeLessThan(10);
+  });
+});
+
+describe('tags', () => {
+  test('pin a commit while the branch moves on', async () => {
+    const db = await createDb({ author: 'release-bot' });
+    const published = await db.commit('main', { version: 1 }, 'publish');
+    
+    expect(await db.tag('v1')).toEqual({ name: 'v1', commit: published.hash, annotated: false });
+    const annotated = await db.tag('v1-notes', 'main', { message: 'First release' });
+    await db.commit('main', { version: 2 }, 'draft');
+    
+    expect(annotated).toMatchObject({ name: 'v1-notes', commit: published.hash, annotated: true, message: 'First release', tagger: 'release-bot' });
+    expect(typeof annotated.timestamp).toBe('number');
+    expect((await db.listTags()).map(tag => [tag.name, tag.commit])).toEqual([['v1', published.hash], ['v1-notes', published.hash]]);
+    expect(await db.resolve('v1-notes')).toBe(published.hash);
+    expect(await db.getDataAtCommit('v1')).toEqual({ version: 1 });
+  });
+  
+  test('are accepted wherever a commit is', async () => {
+    const db = await createDb();
+    await db.commit('main', { version: 1 }, 'publish');
+    await db.tag('v1', 'main', { message: 'First release' });
+    await db.commit('main', { version: 2 }, 'draft');
+    
+    await db.branch('hotfix', 'v1');
+    expect(await db.getBranchData('hotfix')).toEqual({ version: 1 });
+    expect(await db.get('version', { commit: 'v1' })).toBe(1);
+    expect((await db.diffRevisions('v1', 'main')).modified).toEqual([{ path: 'version', value: 2 }]);
+    
+    await db.commit('hotfix', { version: 1, fix: true }, 'fix');
+    await db.tag('v1.1', 'hotfix');
+    await (await db.merge('v1.1', 'main')).apply();
+    expect(await db.getBranchData('main')).toEqual({ version: 2, fix: true });
+  });
+  
+  test('refuse duplicate names and can be deleted', async () => {
+    const db = await createDb();
+    await db.tag('v1');
+    
+    await expect(db.tag('v1')).rejects.toThrow("Tag 'v1' already exists");
+    await db.deleteTag('v1');
+    expect(await db.listTags()).toEqual([]);
+    await expect(db.deleteTag('v1')).rejects.toThrow("Tag 'v1' not found");
+    await expect(db.resolve('v1')).rejects.toThrow();
+  });
+});
+
+describe('detached HEAD', () => {
+  async function detached() {
+    const db = await createDb();
+    const published = await db.commit('main', { version: 1 }, 'publish');
+    await db.tag('v1', 'main');
+    await db.commit('main', { version: 2 }, 'draft');
+    await db.checkout('v1');
+    return { db, published };
+  }
+  
+  test('reads the commit it was checked out at', async () => {
+    const { db, published } = await detached();
+    
+    expect(await db.getHead()).toEqual({ branch: null, commit: published.hash, detached: true });
+    expect(await db.getData()).toEqual({ version: 1 });
+    expect(await db.get('version')).toBe(1);
+    expect((await db.getHistory())[0].hash).toBe(published.hash);
+    await expect(db.getCurrentBranch()).rejects.toThrow('detached');
+  });
+  
+  test('rejects commits without a branch and keeps every ref where it was', async () => {
+    const { db, published } = await detached();
+    const main = await db.resolve('main');
+    
+    await expect(db.commit({ version: 3 }, 'lost')).rejects.toThrow(`Cannot commit with HEAD detached at ${published.hash}`);
+    
+    expect(await db.resolve('HEAD')).toBe(published.hash);
+    expect(await db.resolve('main')).toBe(main);
+    expect(await db.listBranches()).toEqual(['main']);
+  });
+  
+  test('commits once a branch is created from it', async () => {
+    const { db, published } = await detached();
+    
+    expect(await db.branch('inspect')).toBe(published.hash);
+    await db.checkout('inspect');
+    const commit = await db.commit({ version: 1, note: 'seen' }, 'note');
+    
+    expect(commit.parents).toEqual([published.hash]);
+    expect(await db.getHead()).toMatchObject({ branch: 'inspect', detached: false });
+    expect(await db.getBranchData('main')).toEqual({ version: 2 });
+  });
+});
@@ -0,0 +1,140 @@
+const { IDBFactory } = require('fake-indexeddb');
+const { TemporalDB, IndexedDBAdapter, MerkleTree, Commit } = require('../src');
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Store a tree the way the legacy format did: containers hashed over their
+// children's hashes only, nodes stored as bare JSON strings
+function legacyTree(objects, data) {
+  if (data === null || typeof data !== 'object') {
+    const hash = MerkleTree.hashData(data);
+    objects.set(hash, JSON.stringify({ type: data === null ? 'null' : typeof data, value: data }));
+    return hash;
+  }
+  
+  const children = {};
+  for (const key of Object.keys(data).sort()) {
+    children[key] = legacyTree(objects, data[key]);
+  }
+  const hash = MerkleTree.hashData(children);
+  objects.set(hash, JSON.stringify({ type: Array.isArray(data) ? 'array' : 'object', children }));
+  return hash;
+}
+
+/**
+ * Write a database as the legacy version did: version 1 without a reflog,
+ * commits keyed by their root hash with a single `parent`, no FORMAT ref.
+ * Returns the still open connection and the commit hashes by message.
+ */
+async function writeLegacyDatabase(factory, name, history) {
+  const open = factory.open(name, 1);
+  open.onupgradeneeded = () => {
+    const db = open.result;
+    db.createObjectStore('objects');
+    db.createObjectStore('refs');
+    const commits = db.createObjectStore('commits', { keyPath: 'hash' });
+    commits.createIndex('branch', 'branch', { unique: false });
+    commits.createIndex('timestamp', 'timestamp', { unique: false });
+  };
+  const db = await request(open);
+  
+  const hashes = {};
+  for (const { branch, data, message, timestamp } of history) {
+    const objects = new Map();
+    const rootHash = legacyTree(objects, data);
+    
+    const transaction = db.transaction(['objects', 'refs', 'commits'], 'readwrite');
+    const parent = await request(transaction.objectStore('refs').get(`branch/${branch}`));
+    for (const [hash, json] of objects) {
+      transaction.objectStore('objects').put(json, hash);
+    }
+    transaction.objectStore('commits').put({
+      hash: rootHash, parent: parent || null, branch, message, timestamp, rootHash
+    });
+    transaction.objectStore('refs').put(rootHash, `branch/${branch}`);
+    transaction.objectStore('refs').put('branch/main', 'HEAD');
+    await new Promise(resolve => { transaction.oncomplete = resolve; });
+    
+    hashes[message] = rootHash;
+  }
+  
+  return { db, hashes };
+}
+
+describe('IndexedDB adapter', () => {
+  const history = [
+    { branch: 'main', data: {}, message: 'Initial commit', timestamp: 1000 },
+    { branch: 'main', data: { n: 1 }, message: 'first', timestamp: 2000 },
+    { branch: 'main', data: { n: 2 }, message: 'second', timestamp: 3000 },
+    // Same data as 'first', so it overwrote that commit's record
+    { branch: 'main', data: { n: 1 }, message: 'third', timestamp: 4000 }
+  ];
+  
+  test('migrates a legacy database to commits with their own identity', async () => {
+    const factory = new IDBFactory();
+    const { db: legacy, hashes } = await writeLegacyDatabase(factory, 'legacy', history);
+    legacy.transaction('refs', 'readwrite').objectStore('refs').put(hashes.second, 'branch/feature');
+    legacy.close();
+    
+    const db = new TemporalDB({ storage: new IndexedDBAdapter({ name: 'legacy', indexedDB: factory }) });
+    await db.init();
+    
+    // The overwritten record linked 'second' to 'third', that link is cut
+    const second = Commit.create({
+      rootHash: MerkleTree.fromObject({ n: 2 }).hash,
+      parents: [],
+      message: 'second',
+      timestamp: 3000,
+      branch: 'main'
+    });
+    const third = Commit.create({
+      rootHash: MerkleTree.fromObject({ n: 1 }).hash,
+      parents: [second.hash],
+      message: 'third',
+      timestamp: 4000,
+      branch: 'main'
+    });
+    
+    expect(await db.storage.getRef('branch/main')).toBe(third.hash);
+    expect(await db.storage.getRef('branch/feature')).toBe(second.hash);
+    expect(await db.storage.getRef('HEAD')).toBe('branch/main');
+    expect(await db.storage.getRef('FORMAT')).toBe('3');
+    expect(await db.storage.getCommit(third.hash)).toMatchObject({ parents: [second.hash], message: 'third' });
+    expect(await db.storage.getCommit(hashes.third)).toBeNull();
+    
+    expect(await db.getBranchData('main')).toEqual({ n: 1 });
+    expect(await db.getBranchData('feature')).toEqual({ n: 2 });
+    
+    db.close();
+  });
+  
+  test('rejects an upgrade while an older connection stays open', async () => {
+    const factory = new IDBFactory();
+    const { db: legacy } = await writeLegacyDatabase(factory, 'open', history);
+    
+    const db = new TemporalDB({ storage: new IndexedDBAdapter({ name: 'open', indexedDB: factory }) });
+    await expect(db.init()).rejects.toThrow(/still open elsewhere/);
+    
+    legacy.close();
+    await db.init();
+    expect(await db.getBranchData('main')).toEqual({ n: 1 });
+    
+    db.close();
+  });
+  
+  test('closes its connection when a newer version opens the database', async () => {
+    const factory = new IDBFactory();
+    const adapter = new IndexedDBAdapter({ name: 'newer', indexedDB: factory });
+    await adapter.init();
+    
+    const newer = await request(factory.open('newer', 3));
+    
+    expect(adapter.db).toBeNull();
+    newer.close();
+  });
+});
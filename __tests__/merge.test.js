@@ -0,0 +1,246 @@
+const { createDb, tick } = require('./helpers');
+
+describe('merge base', () => {
+  test('is the fork point of two branches', async () => {
+    const db = await createDb();
+    const base = await db.commit('main', { a: 1 }, 'base');
+    await db.branch('feature', 'main');
+    await db.commit('feature', { a: 1, b: 1 }, 'feature');
+    await db.commit('main', { a: 2 }, 'main');
+    
+    expect(await db.mergeHandler.findCommonAncestor('main', 'feature')).toBe(base.hash);
+  });
+  
+  test('is the older commit when one is an ancestor of the other', async () => {
+    const db = await createDb();
+    const first = await db.commit('main', { a: 1 }, 'first');
+    const second = await db.commit('main', { a: 2 }, 'second');
+    
+    expect(await db.mergeHandler.findMergeBase(first.hash, second.hash)).toBe(first.hash);
+    expect(await db.mergeHandler.findMergeBase(second.hash, first.hash)).toBe(first.hash);
+    expect(await db.mergeHandler.findMergeBase(second.hash, second.hash)).toBe(second.hash);
+  });
+  
+  test('moves past earlier merges', async () => {
+    const db = await createDb();
+    await db.commit('main', { a: 1 }, 'base');
+    await db.branch('feature', 'main');
+    await db.commit('feature', { a: 1, b: 1 }, 'feature');
+    await (await db.merge('feature', 'main', { ff: 'never' })).apply();
+    const merged = await db.resolve('feature');
+    await db.commit('feature', { a: 1, b: 2 }, 'feature again');
+    
+    expect(await db.mergeHandler.findCommonAncestor('main', 'feature')).toBe(merged);
+    
+    const result = await db.merge('feature', 'main');
+    expect(result.hasConflicts).toBe(false);
+    await result.apply();
+    expect(await db.getBranchData('main')).toEqual({ a: 1, b: 2 });
+  });
+  
+  test('finds both bases of a criss-cross merge and uses the most recent', async () => {
+    const db = await createDb();
+    await db.commit('main', { a: 0, b: 0 }, 'base');
+    await db.branch('feature', 'main');
+    const onMain = await db.commit('main', { a: 1, b: 0 }, 'a');
+    await tick();
+    const onFeature = await db.commit('feature', { a: 0, b: 1 }, 'b');
+    
+    await (await db.merge('feature', 'main')).apply();
+    await (await db.merge(onMain.hash, 'feature')).apply();
+    
+    const bases = await db.mergeHandler.findMergeBases(
+      await db.resolve('main'),
+      await db.resolve('feature')
+    );
+    expect(bases.sort()).toEqual([onMain.hash, onFeature.hash].sort());
+    
+    expect(await db.mergeHandler.findMergeBase(
+      await db.resolve('main'),
+      await db.resolve('feature')
+    )).toBe(onFeature.hash);
+  });
+});
+
+describe('merge strategies', () => {
+  // Merge `feature` into `main` after both changed `base`
+  async function diverged(base, feature, main, options) {
+    const db = await createDb();
+    await db.commit('main', base, 'base');
+    await db.branch('feature', 'main');
+    await db.commit('feature', feature, 'feature');
+    await db.commit('main', main, 'main');
+    return db.merge('feature', 'main', options);
+  }
+  
+  test('union combines plain arrays whose elements conflict', async () => {
+    const result = await diverged({ tags: ['a'] }, { tags: ['a', 'b'] }, { tags: ['a', 'c'] }, { strategy: 'union' });
+    
+    expect(result.hasConflicts).toBe(false);
+    expect(result.getMergedData()).toEqual({ tags: ['a', 'c', 'b'] });
+    expect(result.resolved).toEqual([{ path: 'tags', resolver: 'union', value: ['a', 'c', 'b'] }]);
+  });
+  
+  test('union combines arrays of objects changed inside their elements', async () => {
+    const result = await diverged(
+      { items: [{ n: 1 }] },
+      { items: [{ n: 2 }] },
+      { items: [{ n: 3 }] },
+      { strategy: 'union' }
+    );
+    
+    expect(result.getMergedData()).toEqual({ items: [{ n: 3 }, { n: 2 }] });
+  });
+  
+  test('number strategies settle array elements in place', async () => {
+    const result = await diverged({ scores: [1, 1] }, { scores: [1, 5] }, { scores: [4, 3] }, { strategy: 'max' });
+    
+    expect(result.getMergedData()).toEqual({ scores: [4, 5] });
+    expect(result.resolved.map(entry => entry.path)).toEqual(['scores.1']);
+  });
+  
+  test('leaves conflicts a strategy cannot settle', async () => {
+    const result = await diverged({ title: 'a' }, { title: 'b' }, { title: 'c' }, { strategy: 'union' });
+    
+    expect(result.getConflicts().map(conflict => conflict.path)).toEqual(['title']);
+  });
+});
+
+describe('merges in progress', () => {
+  async function conflicted() {
+    const db = await createDb();
+    await db.commit('main', { a: 1, b: 1 }, 'base');
+    await db.branch('feature', 'main');
+    await db.commit('feature', { a: 2, b: 2 }, 'feature');
+    await db.commit('main', { a: 3, b: 3 }, 'main');
+    return { db, result: await db.merge('feature', 'main') };
+  }
+  
+  test('refuses a partial resolution and stays in progress', async () => {
+    const { db, result } = await conflicted();
+    const head = await db.resolve('main');
+    
+    await expect(result.resolveWith({ a: 2 })).rejects.toThrow('unresolved conflicts');
+    await expect(result.resolveWith({ a: 2, c: 1 })).rejects.toThrow("No conflict at 'c'");
+    
+    const pending = await db.getPendingMerge();
+    expect(pending).not.toBeNull();
+    await pending.setResolution('a', 2);
+    await expect(pending.apply()).rejects.toThrow('unresolved conflicts');
+    await expect(pending.resolveWith({})).rejects.toThrow('unresolved conflicts');
+    
+    expect(await db.resolve('main')).toBe(head);
+    expect(await db.getPendingMerge()).not.toBeNull();
+  });
+  
+  test('commits once every conflict is resolved', async () => {
+    const { db } = await conflicted();
+    
+    const pending = await db.getPendingMerge();
+    await pending.setResolution('a', 2);
+    await pending.resolveWith({ b: 3 });
+    
+    expect(await db.getBranchData('main')).toEqual({ a: 2, b: 3 });
+    expect(await db.getPendingMerge()).toBeNull();
+  });
+});
+
+describe('fast-forward merges', () => {
+  async function ahead() {
+    const db = await createDb();
+    await db.commit('main', { a: 1 }, 'base');
+    await db.branch('feature', 'main');
+    const feature = await db.commit('feature', { a: 2 }, 'feature');
+    return { db, feature };
+  }
+  
+  test('report a source the target already contains as up to date', async () => {
+    const { db } = await ahead();
+    const head = await db.resolve('feature');
+    
+    const result = await db.merge('main', 'feature');
+    
+    expect(result).toMatchObject({ upToDate: true, fastForward: false, hasConflicts: false });
+    expect((await result.apply()).hash).toBe(head);
+    expect(await db.resolve('feature')).toBe(head);
+  });
+  
+  test('move the target to the source without a merge commit', async () => {
+    const { db, feature } = await ahead();
+    
+    const result = await db.merge('feature', 'main');
+    
+    expect(result).toMatchObject({ upToDate: false, fastForward: true });
+    expect((await result.apply()).hash).toBe(feature.hash);
+    expect(await db.resolve('main')).toBe(feature.hash);
+    expect((await db.reflog('main'))[0]).toMatchObject({ operation: 'merge', message: 'Fast-forward to feature' });
+  });
+  
+  test("create a merge commit with ff: 'never'", async () => {
+    const { db, feature } = await ahead();
+    
+    const result = await db.merge('feature', 'main', { ff: 'never' });
+    const commit = await result.apply();
+    
+    expect(result.fastForward).toBe(false);
+    expect(commit.parents).toEqual([await db.resolve('main~1'), feature.hash]);
+    expect(await db.getBranchData('main')).toEqual({ a: 2 });
+  });
+  
+  test("refuse a diverged target with ff: 'only'", async () => {
+    const { db } = await ahead();
+    await db.commit('main', { a: 1, b: 1 }, 'main');
+    const head = await db.resolve('main');
+    
+    await expect(db.merge('feature', 'main', { ff: 'only' })).rejects.toThrow("Cannot fast-forward branch 'main' to 'feature'");
+    await expect(db.merge('feature', 'main', { ff: 'sometimes' })).rejects.toThrow("Invalid fast-forward mode 'sometimes'");
+    expect(await db.resolve('main')).toBe(head);
+    expect(await db.getPendingMerge()).toBeNull();
+  });
+});
+
+describe('revert and cherry-pick', () => {
+  test('revert undoes one commit and keeps the later changes', async () => {
+    const db = await createDb();
+    await db.commit('main', { a: 1, b: 1 }, 'base');
+    const bad = await db.commit('main', { a: 1, b: 1, c: 'bad' }, 'bad');
+    const later = await db.commit('main', { a: 2, b: 1, c: 'bad' }, 'later');
+    
+    const commit = await db.revert(bad.hash, { branch: 'main' });
+    
+    expect(commit).toMatchObject({ message: 'Revert "bad"', parents: [later.hash] });
+    expect(await db.getBranchData('main')).toEqual({ a: 2, b: 1 });
+    expect((await db.reflog('main'))[0].operation).toBe('revert');
+  });
+  
+  test('cherry-pick copies one commit onto another branch', async () => {
+    const db = await createDb();
+    await db.commit('main', { a: 1, b: 1 }, 'base');
+    await db.branch('hotfix', 'main');
+    await db.commit('hotfix', { a: 1, b: 1, wip: true }, 'wip');
+    await db.commit('hotfix', { a: 1, b: 2, wip: true }, 'fix b');
+    const main = await db.commit('main', { a: 3, b: 1 }, 'main');
+    
+    const commit = await db.cherryPick('hotfix', { branch: 'main' });
+    
+    expect(commit).toMatchObject({ message: 'fix b', parents: [main.hash] });
+    expect(await db.getBranchData('main')).toEqual({ a: 3, b: 2 });
+    await expect(db.cherryPick('hotfix', { branch: 'main' })).rejects.toThrow("Nothing to cherry-pick, 'main' is unchanged by 'hotfix'");
+  });
+  
+  test('return the conflicts when a later commit changed the same path', async () => {
+    const db = await createDb();
+    await db.commit('main', { a: 1 }, 'base');
+    await db.commit('main', { a: 2 }, 'change');
+    const later = await db.commit('main', { a: 3 }, 'later');
+    
+    const result = await db.revert('main~1', { branch: 'main' });
+    
+    expect(result.getConflicts()).toEqual([expect.objectContaining({ path: 'a' })]);
+    expect(await db.resolve('main')).toBe(later.hash);
+    
+    const commit = await result.resolveWith({ a: 1 });
+    expect(commit).toMatchObject({ message: 'Revert "change"', parents: [later.hash] });
+    expect(await db.getBranchData('main')).toEqual({ a: 1 });
+  });
+});
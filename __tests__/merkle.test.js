@@ -0,0 +1,139 @@
+const { TemporalDB, MemoryAdapter, MerkleTree, Commit, Tag } = require('../src');
+const { createDb } = require('./helpers');
+
+describe('node hashes', () => {
+  test('depend on the node type', () => {
+    expect(MerkleTree.fromObject({}).hash).not.toBe(MerkleTree.fromObject([]).hash);
+    expect(MerkleTree.fromObject({ 0: 'a' }).hash).not.toBe(MerkleTree.fromObject(['a']).hash);
+    expect(MerkleTree.fromObject(1).hash).not.toBe(MerkleTree.fromObject('1').hash);
+  });
+  
+  test('match the hash of the stored node', () => {
+    const tree = MerkleTree.fromObject({ list: ['a'], n: 1 });
+    
+    expect(tree.hash).toBe(MerkleTree.hashNode({
+      type: 'object',
+      children: { list: tree.children.list.hash, n: tree.children.n.hash }
+    }));
+    expect(tree.children.n.hash).toBe(MerkleTree.hashNode({ type: 'number', value: 1 }));
+  });
+  
+  test('keep objects and arrays with the same entries apart in storage', async () => {
+    const db = await createDb();
+    await db.commit('main', { o: { 0: 'a' }, e: {} }, 'objects');
+    await db.commit('main', { o: ['a'], e: [] }, 'arrays');
+    
+    expect(await db.getBranchData('main')).toEqual({ o: ['a'], e: [] });
+    
+    const diff = await db.diffRevisions('main~1', 'main');
+    expect(diff.modified.map(change => change.path).sort()).toEqual(['e', 'o']);
+  });
+});
+
+describe('tree hash migration', () => {
+  // Store a tree under made-up hashes, as an older format would have
+  function storeLegacyTree(objects, data) {
+    if (data === null || typeof data !== 'object') {
+      const node = { type: typeof data, value: data };
+      const hash = MerkleTree.hashData(['legacy', node]);
+      objects.push({ hash, data: node });
+      return hash;
+    }
+    
+    const children = {};
+    for (const key of Object.keys(data).sort()) {
+      children[key] = storeLegacyTree(objects, data[key]);
+    }
+    const node = { type: Array.isArray(data) ? 'array' : 'object', children };
+    const hash = MerkleTree.hashData(['legacy', node]);
+    objects.push({ hash, data: node });
+    return hash;
+  }
+  
+  test('rewrites commits, branches and tags in the current format', async () => {
+    const adapter = new MemoryAdapter();
+    const db = new TemporalDB({ storage: adapter });
+    await db.init();
+    
+    const objects = [];
+    const first = Commit.create({
+      rootHash: storeLegacyTree(objects, { list: ['a'], n: 1 }),
+      parents: [],
+      author: 'someone',
+      message: 'first',
+      timestamp: 1000,
+      branch: 'main'
+    });
+    const second = Commit.create({
+      rootHash: storeLegacyTree(objects, { list: ['a', 'b'], n: 1 }),
+      parents: [first.hash],
+      author: 'someone',
+      message: 'second',
+      timestamp: 2000,
+      branch: 'main'
+    });
+    const { hash: tagHash, ...tag } = Tag.create({ name: 'v1', commit: first.hash, message: 'one' });
+    
+    await db.storage.writeBatch({
+      objects: [...objects, { hash: tagHash, data: tag }],
+      commits: [first, second],
+      refs: [
+        { name: 'branch/main', value: second.hash },
+        { name: 'tag/v1', value: tagHash },
+        { name: 'FORMAT', value: '2' }
+      ]
+    });
+    
+    const migrated = new TemporalDB({ storage: adapter });
+    await migrated.init();
+    
+    const head = await migrated.resolve('main');
+    const commit = await migrated.storage.getCommit(head);
+    expect(head).not.toBe(second.hash);
+    expect(commit.rootHash).toBe(MerkleTree.fromObject({ list: ['a', 'b'], n: 1 }).hash);
+    expect(commit.message).toBe('second');
+    
+    expect(await migrated.getBranchData('main')).toEqual({ list: ['a', 'b'], n: 1 });
+    expect(await migrated.getBranchData('v1')).toEqual({ list: ['a'], n: 1 });
+    expect(await migrated.resolve('v1')).toBe(commit.parents[0]);
+    expect(await migrated.storage.getRef('FORMAT')).toBe('3');
+  });
+});
+
+describe('legacy commit migration', () => {
+  test('rewrites histories deeper than the call stack', async () => {
+    const adapter = new MemoryAdapter();
+    const depth = 20000;
+    
+    // Legacy commits were keyed by their root hash and had a single parent
+    const commits = [];
+    let parent = null;
+    for (let i = 0; i < depth; i++) {
+      const value = { type: 'number', value: i };
+      const valueHash = MerkleTree.hashData(['legacy', value]);
+      const node = { type: 'object', children: { i: valueHash } };
+      const hash = MerkleTree.hashData(['legacy', node]);
+      
+      await adapter.putObjects([
+        { hash: valueHash, json: JSON.stringify(value) },
+        { hash, json: JSON.stringify(node) }
+      ]);
+      commits.push({ hash, parent, branch: 'main', message: `commit ${i}`, timestamp: 1000 + i, rootHash: hash });
+      parent = hash;
+    }
+    
+    // Newest first, so the migration meets the head before its ancestors
+    for (const commit of commits.reverse()) {
+      await adapter.putCommit(commit);
+    }
+    await adapter.putRef('branch/main', parent);
+    await adapter.putRef('HEAD', 'branch/main');
+    
+    const db = new TemporalDB({ storage: adapter });
+    await db.init();
+    
+    expect(await db.getBranchData('main')).toEqual({ i: depth - 1 });
+    expect(await db.getBranchData(`main~${depth - 1}`)).toEqual({ i: 0 });
+    expect(await db.storage.getRef('FORMAT')).toBe('3');
+  }, 60000);
+});
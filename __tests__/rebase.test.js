@@ -0,0 +1,117 @@
+const { createDb } = require('./helpers');
+
+// A branch `feature` forked from `main`, with commits on both since
+async function diverged(featureChanges, mainChanges) {
+  const db = await createDb();
+  await db.commit('main', { a: 1, b: 1, c: 1 }, 'base');
+  await db.branch('feature', 'main');
+  
+  let data = await db.getBranchData('feature');
+  for (const [message, change] of featureChanges) {
+    data = { ...data, ...change };
+    await db.commit('feature', data, message, { author: 'alice' });
+  }
+  
+  data = await db.getBranchData('main');
+  for (const [message, change] of mainChanges) {
+    data = { ...data, ...change };
+    await db.commit('main', data, message);
+  }
+  
+  return db;
+}
+
+async function messages(db, branch) {
+  return (await db.getHistory(branch)).map(commit => commit.message);
+}
+
+describe('rebase', () => {
+  test('replays the branch on top of the new base', async () => {
+    const db = await diverged([['f1', { a: 2 }], ['f2', { b: 2 }]], [['m1', { c: 2 }]]);
+    const original = await db.resolve('feature');
+    
+    const state = await db.rebase('feature', 'main');
+    
+    expect(state.done).toBe(true);
+    expect(state.replayed).toHaveLength(2);
+    expect(await db.getBranchData('feature')).toEqual({ a: 2, b: 2, c: 2 });
+    expect(await messages(db, 'feature')).toEqual(['f2', 'f1', 'm1', 'base', 'Initial commit']);
+    expect((await db.getHistory('feature'))[0].author).toBe('alice');
+    expect(await db.reflog('feature')).toEqual(expect.arrayContaining([
+      expect.objectContaining({ operation: 'rebase', old: original })
+    ]));
+  });
+  
+  test('reports a branch that already contains the new base as up to date', async () => {
+    const db = await diverged([['f1', { a: 2 }]], []);
+    const head = await db.resolve('feature');
+    
+    const state = await db.rebase('feature', 'main');
+    
+    expect(state).toMatchObject({ done: true, upToDate: true });
+    expect(await db.resolve('feature')).toBe(head);
+  });
+  
+  test('drops commits whose change is already on the new base', async () => {
+    const db = await diverged([['f1', { a: 2 }], ['f2', { b: 2 }]], [['m1', { a: 2 }]]);
+    
+    const state = await db.rebase('feature', 'main');
+    
+    expect(state.skipped).toHaveLength(1);
+    expect(await messages(db, 'feature')).toEqual(['f2', 'm1', 'base', 'Initial commit']);
+  });
+  
+  test('stops at a conflict and continues with its resolution', async () => {
+    const db = await diverged([['f1', { a: 2 }], ['f2', { b: 2 }]], [['m1', { a: 3 }]]);
+    const original = await db.resolve('feature');
+    
+    const state = await db.rebase('feature', 'main');
+    
+    expect(state.done).toBe(false);
+    expect(state.current.message).toBe('f1');
+    expect(state.getConflicts().map(conflict => conflict.path)).toEqual(['a']);
+    expect(await db.resolve('feature')).toBe(original);
+    
+    await state.continue({ a: 4 });
+    
+    expect(state.done).toBe(true);
+    expect(await db.getBranchData('feature')).toEqual({ a: 4, b: 2, c: 1 });
+  });
+  
+  test('refuses to continue without a resolution for every conflict', async () => {
+    const db = await diverged([['f1', { a: 2, b: 2 }]], [['m1', { a: 3, b: 3 }]]);
+    const state = await db.rebase('feature', 'main');
+    
+    await expect(state.continue()).rejects.toThrow('unresolved conflicts');
+    await expect(state.continue({ a: 2 })).rejects.toThrow('unresolved conflicts');
+    await expect(state.continue({ a: 2, b: 2, c: 2 })).rejects.toThrow("No conflict at 'c'");
+    expect(state.done).toBe(false);
+    
+    await state.continue({ a: 2, b: 2 });
+    expect(await db.getBranchData('feature')).toEqual({ a: 2, b: 2, c: 1 });
+  });
+  
+  test('skips a conflicting commit', async () => {
+    const db = await diverged([['f1', { a: 2 }], ['f2', { b: 2 }]], [['m1', { a: 3 }]]);
+    const state = await db.rebase('feature', 'main');
+    
+    await state.skip();
+    
+    expect(state.done).toBe(true);
+    expect(await messages(db, 'feature')).toEqual(['f2', 'm1', 'base', 'Initial commit']);
+    expect(await db.getBranchData('feature')).toEqual({ a: 3, b: 2, c: 1 });
+  });
+  
+  test('leaves the branch untouched when aborted', async () => {
+    const db = await diverged([['f1', { b: 2 }], ['f2', { a: 2 }]], [['m1', { a: 3 }]]);
+    const original = await db.resolve('feature');
+    const state = await db.rebase('feature', 'main');
+    
+    expect(state.replayed).toHaveLength(1);
+    await state.abort();
+    
+    expect(state.aborted).toBe(true);
+    expect(await db.resolve('feature')).toBe(original);
+    await expect(state.continue({ a: 2 })).rejects.toThrow('not stopped');
+  });
+});
@@ -0,0 +1,116 @@
+const { Retention, MergeInProgressError } = require('../src');
+const { createDb } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+// A multiple of every interval below, so buckets start at T0
+const T0 = 4 * HOUR * 500000;
+
+describe('retention', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+  
+  // main: 'Initial commit' at T0 - 1h, then 'commit i' at T0 + i hours
+  async function hourlyHistory(count) {
+    jest.useFakeTimers({ now: T0 - HOUR });
+    const db = await createDb();
+    
+    const commits = [];
+    for (let i = 0; i < count; i++) {
+      jest.setSystemTime(T0 + i * HOUR);
+      commits.push(await db.commit('main', { i }, `commit ${i}`));
+    }
+    return { db, commits };
+  }
+  
+  const messages = async (db, branch) => (await db.getHistory(branch)).map(commit => commit.message);
+  
+  test('keeps the last commit of each interval of a tier', () => {
+    const commits = [9, 8, 7, 6, 5, 4, 3, 2, 1, 0].map(i => ({ hash: `c${i}`, timestamp: T0 + i * HOUR }));
+    const policy = [{ upTo: 3 * HOUR }, { upTo: 8 * HOUR, every: 2 * HOUR }];
+    
+    const retained = Retention.selectRetained(commits, policy, T0 + 9 * HOUR);
+    
+    // Ages under 3h are all kept, up to 8h the last commit of each two hours, older ones go
+    expect([...retained].sort()).toEqual(['c3', 'c5', 'c6', 'c7', 'c8', 'c9']);
+  });
+  
+  test('rejects malformed policies', () => {
+    expect(() => Retention.validatePolicy([])).toThrow('non-empty array');
+    expect(() => Retention.validatePolicy([{ every: HOUR }, { every: HOUR }])).toThrow("needs an 'upTo' age");
+    expect(() => Retention.validatePolicy([{ upTo: 2 * HOUR }, { upTo: HOUR }])).toThrow('must cover ages beyond');
+    expect(() => Retention.validatePolicy([{ every: 0 }])).toThrow('invalid interval');
+  });
+  
+  test('squashes dropped commits into the next retained one along the first-parent chain', async () => {
+    const { db } = await hourlyHistory(10);
+    
+    const result = await db.applyRetention('main', {
+      policy: [{ upTo: 3 * HOUR }, { every: 4 * HOUR }],
+      now: T0 + 9 * HOUR + 1,
+      gc: false
+    });
+    
+    expect(result).toMatchObject({ retained: 6, dropped: 5 });
+    expect(await messages(db, 'main')).toEqual(['commit 9', 'commit 8', 'commit 7', 'commit 6', 'commit 3', 'Initial commit']);
+    expect(await db.getBranchData('main')).toEqual({ i: 9 });
+    expect(await db.getBranchData('main~3')).toEqual({ i: 6 });
+    expect((await db.getHistory('main')).map(commit => commit.timestamp))
+      .toEqual([9, 8, 7, 6, 3, -1].map(i => T0 + i * HOUR));
+    
+    // Reading a dropped commit's time gives the last retained state before it
+    expect((await db.branchManager.findCommitAtTime('main', T0 + 5 * HOUR)).message).toBe('commit 3');
+    expect((await db.reflog('main'))[0].operation).toBe('retention');
+  });
+  
+  test('leaves history shared with other branches as it is', async () => {
+    const { db, commits } = await hourlyHistory(10);
+    await db.branch('keep', commits[4].hash);
+    
+    const result = await db.applyRetention('main', {
+      policy: [{ upTo: 3 * HOUR }, { every: 4 * HOUR }],
+      now: T0 + 9 * HOUR + 1,
+      gc: false
+    });
+    
+    expect(result).toMatchObject({ retained: 4, dropped: 1 });
+    expect(await messages(db, 'main')).toEqual([
+      'commit 9', 'commit 8', 'commit 7', 'commit 6', 'commit 4', 'commit 3', 'commit 2', 'commit 1', 'commit 0', 'Initial commit'
+    ]);
+    expect(await db.resolve('main~4')).toBe(commits[4].hash);
+    expect(await db.resolve('keep')).toBe(commits[4].hash);
+  });
+  
+  test('keeps merge commits', async () => {
+    const { db } = await hourlyHistory(2);
+    await db.branch('feature', 'main');
+    jest.setSystemTime(T0 + 2 * HOUR);
+    await db.commit('feature', { i: 1, f: 1 }, 'feature');
+    await db.commit('main', { i: 2 }, 'commit 2');
+    await (await db.merge('feature', 'main')).apply();
+    await db.deleteBranch('feature');
+    
+    await db.applyRetention('main', { policy: [{ every: 1000 * HOUR }], now: T0 + 3 * HOUR, gc: false });
+    
+    const history = await db.getHistory('main', { firstParent: true });
+    expect(history.map(commit => commit.message)).toEqual(["Merge branch 'feature' into main", 'Initial commit']);
+    expect(history[0].parents).toHaveLength(2);
+    expect(await db.getBranchData('main')).toEqual({ i: 2, f: 1 });
+  });
+  
+  test('refuses to rewrite a branch a merge in progress goes into', async () => {
+    const { db } = await hourlyHistory(3);
+    await db.branch('feature', 'main');
+    await db.commit('feature', { i: 'feature' }, 'feature');
+    await db.commit('main', { i: 'main' }, 'main');
+    const merge = await db.merge('feature', 'main');
+    const policy = { policy: [{ every: 1000 * HOUR }], now: T0 + 3 * HOUR, gc: false };
+    
+    await expect(db.applyRetention('main', policy)).rejects.toThrow(MergeInProgressError);
+    
+    await merge.abort();
+    await db.deleteBranch('feature');
+    await expect(db.applyRetention('main', policy)).resolves.toMatchObject({ retained: 2, dropped: 3 });
+  });
+});
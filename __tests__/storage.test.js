@@ -0,0 +1,65 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { IDBFactory } = require('fake-indexeddb');
+const { MemoryAdapter, IndexedDBAdapter, FileSystemAdapter, RefConflictError } = require('../src');
+
+const hash = (n) => n.toString(16).padStart(64, '0');
+
+const adapters = {
+  memory: async () => new MemoryAdapter(),
+  indexeddb: async () => new IndexedDBAdapter({ name: 'storage', indexedDB: new IDBFactory() }),
+  filesystem: async () => new FileSystemAdapter({
+    directory: await fs.promises.mkdtemp(path.join(os.tmpdir(), 'temporal-db-'))
+  })
+};
+
+describe.each(Object.keys(adapters))('%s adapter writes', (kind) => {
+  let adapter;
+  
+  beforeEach(async () => {
+    adapter = await adapters[kind]();
+    await adapter.init();
+    await adapter.write({
+      refs: [
+        { name: 'branch/main', value: hash(1), expected: null, log: { operation: 'commit' } },
+        { name: 'branch/feature', value: hash(2), expected: null, log: { operation: 'branch' } }
+      ]
+    });
+  });
+  
+  afterEach(async () => {
+    adapter.close();
+    if (kind === 'filesystem') await fs.promises.rm(adapter.directory, { recursive: true, force: true });
+  });
+  
+  test('rejects a batch with a stale expectation and writes none of it', async () => {
+    const reflog = await adapter.getReflog();
+    
+    // The first ref's expectation holds, the second one's is stale
+    const error = await adapter.write({
+      objects: [{ hash: hash(3), json: '{"type":"null","value":null}' }],
+      commits: [{ hash: hash(4), rootHash: hash(3), parents: [hash(1)] }],
+      refs: [
+        { name: 'branch/main', value: hash(4), expected: hash(1), log: { operation: 'commit' } },
+        { name: 'branch/feature', value: hash(4), expected: hash(1), log: { operation: 'merge' } }
+      ]
+    }).catch(error => error);
+    
+    expect(error).toBeInstanceOf(RefConflictError);
+    expect(error).toMatchObject({ ref: 'branch/feature', expected: hash(1), actual: hash(2) });
+    expect(await adapter.listRefs('branch/')).toEqual({ 'branch/main': hash(1), 'branch/feature': hash(2) });
+    expect(await adapter.listObjects()).toEqual([]);
+    expect(await adapter.listCommits()).toEqual([]);
+    expect(await adapter.getReflog()).toEqual(reflog);
+  });
+  
+  test('rejects creating a ref that already exists', async () => {
+    await expect(adapter.write({
+      refs: [{ name: 'branch/main', value: hash(5), expected: null, log: { operation: 'branch' } }]
+    })).rejects.toThrow(RefConflictError);
+    
+    expect(await adapter.getRef('branch/main')).toBe(hash(1));
+    expect(await adapter.getReflog('branch/main')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,140 @@
+const { TextMerge } = require('../src');
+const { createDb, random } = require('./helpers');
+
+function randomLines(next, count) {
+  return Array.from({ length: count }, () => `line ${Math.floor(next() * 5)}\n`);
+}
+
+// Replace, insert or delete lines in the given range
+function editLines(next, lines, from, to) {
+  const result = [...lines];
+  for (let i = to - 1; i >= from; i--) {
+    const roll = next();
+    if (roll < 0.3) result.splice(i, 1);
+    else if (roll < 0.6) result[i] = `edit ${Math.floor(next() * 100)}\n`;
+    else if (roll < 0.8) result.splice(i, 0, `new ${Math.floor(next() * 100)}\n`);
+  }
+  return result;
+}
+
+describe('TextMerge.tokenize', () => {
+  test('splits into tokens that join back to the text', () => {
+    const text = 'first line\n  second  line\n\nlast';
+    
+    expect(TextMerge.tokenize(text, 'line')).toEqual(['first line\n', '  second  line\n', '\n', 'last']);
+    expect(TextMerge.tokenize(text, 'word').join('')).toBe(text);
+    expect(TextMerge.tokenize('')).toEqual([]);
+    expect(() => TextMerge.tokenize(text, 'char')).toThrow("Invalid text granularity 'char'");
+  });
+});
+
+describe('TextMerge.diff', () => {
+  test('hunks rebuild both texts', () => {
+    const next = random(1);
+    
+    for (let run = 0; run < 200; run++) {
+      const oldText = randomLines(next, 8).join('');
+      const newText = randomLines(next, 8).join('');
+      const hunks = TextMerge.diff(oldText, newText);
+      const side = type => hunks.filter(hunk => hunk.type !== type).map(hunk => hunk.value).join('');
+      
+      expect(side('insert')).toBe(oldText);
+      expect(side('delete')).toBe(newText);
+    }
+  });
+});
+
+describe('TextMerge.merge', () => {
+  test('merges edits to different lines', () => {
+    const result = TextMerge.merge('a\nb\nc\n', 'A\nb\nc\n', 'a\nb\nC\n');
+    
+    expect(result).toEqual({
+      hasConflicts: false,
+      merged: 'A\nb\nC\n',
+      hunks: [{ type: 'merged', value: 'A\nb\nC\n' }]
+    });
+  });
+  
+  test('marks lines both sides changed differently', () => {
+    const result = TextMerge.merge('Title\nIntro\n', 'Title\nHello\n', 'Title\nHowdy\n');
+    
+    expect(result.hasConflicts).toBe(true);
+    expect(result.hunks).toEqual([
+      { type: 'merged', value: 'Title\n' },
+      { type: 'conflict', ancestor: 'Intro\n', source: 'Hello\n', target: 'Howdy\n' }
+    ]);
+    expect(result.merged).toBe(
+      'Title\n<<<<<<< target\nHowdy\n||||||| ancestor\nIntro\n=======\nHello\n>>>>>>> source\n');
+  });
+  
+  test('merges word by word', () => {
+    const result = TextMerge.merge('the quick fox', 'the slow fox', 'the quick dog', { granularity: 'word' });
+    
+    expect(result).toMatchObject({ hasConflicts: false, merged: 'the slow dog' });
+  });
+  
+  test('takes one side when only it changed, or both agree', () => {
+    const next = random(2);
+    
+    for (let run = 0; run < 200; run++) {
+      const ancestor = randomLines(next, 10);
+      const edited = editLines(next, ancestor, 0, ancestor.length).join('');
+      const base = ancestor.join('');
+      
+      expect(TextMerge.merge(base, edited, base).merged).toBe(edited);
+      expect(TextMerge.merge(base, base, edited).merged).toBe(edited);
+      expect(TextMerge.merge(base, edited, edited).merged).toBe(edited);
+    }
+  });
+  
+  test('merges edits to separate regions without conflicts', () => {
+    const next = random(3);
+    
+    for (let run = 0; run < 200; run++) {
+      // Unique lines, so each edit can only line up with its own region
+      const ancestor = Array.from({ length: 12 }, (value, i) => `line ${i}\n`);
+      const source = editLines(next, ancestor, 0, 5);
+      const target = editLines(next, ancestor, 7, 12);
+      const result = TextMerge.merge(ancestor.join(''), source.join(''), target.join(''));
+      
+      expect(result.hasConflicts).toBe(false);
+      expect(result.merged).toBe([
+        ...source.slice(0, source.length - 7),
+        ...ancestor.slice(5, 7),
+        ...target.slice(7)
+      ].join(''));
+    }
+  });
+});
+
+describe('textual merging in branches', () => {
+  test('merges strings at configured paths line by line', async () => {
+    const db = await createDb({ text: { paths: ['pages.*.content'] } });
+    await db.commit('main', { pages: { home: { content: 'a\nb\nc\n' } } }, 'base');
+    await db.branch('feature', 'main');
+    await db.commit('feature', { pages: { home: { content: 'A\nb\nc\n' } } }, 'feature');
+    await db.commit('main', { pages: { home: { content: 'a\nb\nC\n' } } }, 'main');
+    
+    const result = await db.merge('feature', 'main');
+    
+    expect(result.hasConflicts).toBe(false);
+    await result.apply();
+    expect(await db.get('pages.home.content')).toBe('A\nb\nC\n');
+  });
+  
+  test('reports the hunks and markers of a textual conflict', async () => {
+    const db = await createDb({ text: { threshold: 1 } });
+    await db.commit('main', { body: 'Title\nIntro\n' }, 'base');
+    await db.branch('feature', 'main');
+    await db.commit('feature', { body: 'Title\nHello\n' }, 'feature');
+    await db.commit('main', { body: 'Title\nHowdy\n' }, 'main');
+    
+    const result = await db.merge('feature', 'main');
+    const [conflict] = result.getConflicts();
+    
+    expect(conflict.path).toBe('body');
+    expect(conflict.markers).toContain('<<<<<<< target\nHowdy\n');
+    expect(conflict.hunks[1]).toEqual({ type: 'conflict', ancestor: 'Intro\n', source: 'Hello\n', target: 'Howdy\n' });
+    await result.abort();
+  });
+});
@@ -0,0 +1,587 @@
+const fs = require('fs');
+const path = require('path');
+const { RefConflictError } = require('../errors');
+
+// Object and commit hashes are SHA-256 hex digests, nothing else names a file
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Durable storage adapter for Node that keeps a database in a directory.
+ *
+ * Objects and commits are stored one file each, refs in a single `refs.json`.
+ * Each of these is written to a temporary name, flushed to disk and renamed
+ * into place, so a crash never leaves a partially written file behind. The
+ * reflog is appended to `reflog.jsonl`, one entry per line.
+ *
+ * `refs.json` also holds the reflog entries of the latest ref update until
+ * they are appended, so an update interrupted between the two is completed
+ * by the next init() instead of leaving a ref move unlogged. A directory
+ * should only be used by one process at a time.
+ */
+class FileSystemAdapter {
+  /**
+   * Create a filesystem adapter
+   * @param {Object} options - Options
+   * @param {string} options.directory - Directory holding the database
+   */
+  constructor(options = {}) {
+    if (!options.directory) {
+      throw new Error('FileSystemAdapter requires a directory');
+    }
+    
+    this.directory = options.directory;
+    this.refs = null;
+    this._refWrites = Promise.resolve();
+  }
+
+  /**
+   * Create the directory layout and load refs
+   * @returns {Promise<void>}
+   */
+  async init() {
+    if (this.refs) return;
+    
+    await fs.promises.mkdir(path.join(this.directory, 'objects'), { recursive: true });
+    await fs.promises.mkdir(path.join(this.directory, 'commits'), { recursive: true });
+    
+    const contents = await this._readFile(this._refsPath());
+    const stored = contents ? JSON.parse(contents) : {};
+    
+    // Older versions stored the refs alone, without the pending reflog entries
+    const current = stored.refs && typeof stored.refs === 'object';
+    const refs = current ? stored.refs : stored;
+    await this._recoverReflog(current ? stored.reflog : []);
+    this.refs = refs;
+  }
+
+  /**
+   * Close the adapter
+   */
+  close() {
+    this.refs = null;
+  }
+
+  /**
+   * Get a serialized object by hash
+   * @param {string} hash - Object hash
+   * @returns {Promise<string|null>} Serialized object or null
+   */
+  async getObject(hash) {
+    const file = this._objectPath(hash);
+    return file ? this._readFile(file) : null;
+  }
+
+  /**
+   * Store serialized objects
+   * @param {Array<Object>} records - Records with hash and json
+   * @returns {Promise<void>}
+   */
+  async putObjects(records) {
+    const directories = new Set();
+    
+    for (const { hash, json } of records) {
+      const file = this._objectPath(hash);
+      if (!file) {
+        throw new Error(`Invalid object hash '${hash}'`);
+      }
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await this._writeFileAtomic(file, json, false);
+      directories.add(path.dirname(file));
+    }
+    
+    for (const directory of directories) {
+      await this._syncDirectory(directory);
+    }
+  }
+
+  /**
+   * List all stored objects without loading their contents. Leftover
+   * temporary files from interrupted writes are not objects and are skipped.
+   * @returns {Promise<Array<Object>>} Entries with hash, size in bytes and write time
+   */
+  async listObjects() {
+    const root = path.join(this.directory, 'objects');
+    const objects = [];
+    
+    for (const prefix of await fs.promises.readdir(root)) {
+      for (const file of await fs.promises.readdir(path.join(root, prefix))) {
+        if (file.endsWith('.tmp')) continue;
+        
+        const stats = await fs.promises.stat(path.join(root, prefix, file));
+        objects.push({ hash: file, size: stats.size, time: stats.mtimeMs });
+      }
+    }
+    
+    return objects;
+  }
+
+  /**
+   * Delete objects
+   * @param {Array<string>} hashes - Object hashes
+   * @returns {Promise<void>}
+   */
+  async deleteObjects(hashes) {
+    for (const hash of hashes) {
+      const file = this._objectPath(hash);
+      if (file) await fs.promises.rm(file, { force: true });
+    }
+  }
+
+  /**
+   * Check which objects exist
+   * @param {Array<string>} hashes - Object hashes
+   * @returns {Promise<Set<string>>} The hashes that exist
+   */
+  async hasObjects(hashes) {
+    const found = new Set();
+    
+    for (const hash of hashes) {
+      const file = this._objectPath(hash);
+      if (!file) continue;
+      
+      try {
+        await fs.promises.access(file);
+        found.add(hash);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    
+    return found;
+  }
+
+  /**
+   * Get a ref value
+   * @param {string} name - Ref name
+   * @returns {Promise<string|null>} Ref value or null
+   */
+  async getRef(name) {
+    this._ensureInitialized();
+    return Object.prototype.hasOwnProperty.call(this.refs, name) ? this.refs[name] : null;
+  }
+
+  /**
+   * Set a ref value
+   * @param {string} name - Ref name
+   * @param {string} value - Ref value
+   * @returns {Promise<void>}
+   */
+  async putRef(name, value) {
+    this._ensureInitialized();
+    await this._updateRefs(refs => {
+      refs[name] = value;
+    });
+  }
+
+  /**
+   * Delete a ref
+   * @param {string} name - Ref name
+   * @returns {Promise<void>}
+   */
+  async deleteRef(name) {
+    this._ensureInitialized();
+    await this._updateRefs(refs => {
+      delete refs[name];
+    });
+  }
+
+  /**
+   * List refs starting with a prefix
+   * @param {string} prefix - Ref name prefix
+   * @returns {Promise<Object>} Object mapping ref names to values
+   */
+  async listRefs(prefix) {
+    this._ensureInitialized();
+    
+    const refs = {};
+    for (const [name, value] of Object.entries(this.refs)) {
+      if (!prefix || name.startsWith(prefix)) {
+        refs[name] = value;
+      }
+    }
+    return refs;
+  }
+
+  /**
+   * Get a commit by hash
+   * @param {string} hash - Commit hash
+   * @returns {Promise<Object|null>} Commit or null
+   */
+  async getCommit(hash) {
+    const file = this._commitPath(hash);
+    const json = file ? await this._readFile(file) : null;
+    return json ? JSON.parse(json) : null;
+  }
+
+  /**
+   * Store a commit
+   * @param {Object} commit - Commit object
+   * @returns {Promise<void>}
+   */
+  async putCommit(commit) {
+    await this._putCommits([commit]);
+  }
+
+  /**
+   * Delete a commit
+   * @param {string} hash - Commit hash
+   * @returns {Promise<void>}
+   */
+  async deleteCommit(hash) {
+    const file = this._commitPath(hash);
+    if (file) await fs.promises.rm(file, { force: true });
+  }
+
+  /**
+   * List all commits
+   * @returns {Promise<Array<Object>>} Commit objects
+   */
+  async listCommits() {
+    const files = await fs.promises.readdir(path.join(this.directory, 'commits'));
+    const commits = [];
+    
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+      const json = await this._readFile(path.join(this.directory, 'commits', file));
+      if (json) commits.push(JSON.parse(json));
+    }
+    
+    return commits;
+  }
+
+  /**
+   * Write objects, commits and ref updates as one unit. Ref expectations are
+   * checked first, so nothing is written for a batch that fails them. Objects
+   * and commits are written next and only become reachable once refs.json is
+   * replaced, so an interrupted write leaves at most unreferenced files for
+   * gc() to remove.
+   * @param {Object} batch - Batch with objects, commits and refs
+   * @returns {Promise<void>}
+   */
+  async write(batch) {
+    this._ensureInitialized();
+    
+    const updates = batch.refs || [];
+    
+    // Queued with the other ref writes, so no update lands between check and write
+    await this._enqueue(async () => {
+      const refs = { ...this.refs };
+      const actual = name => (Object.prototype.hasOwnProperty.call(refs, name) ? refs[name] : null);
+      
+      for (const { name, expected } of updates) {
+        if (expected !== undefined && expected !== actual(name)) {
+          throw new RefConflictError(name, expected, actual(name));
+        }
+      }
+      
+      await this.putObjects(batch.objects || []);
+      await this._putCommits(batch.commits || []);
+      if (updates.length === 0) return;
+      
+      const entries = [];
+      for (const { name, value, log } of updates) {
+        if (log) {
+          entries.push({ ref: name, old: actual(name), new: value, ...log });
+        }
+        
+        if (value === null) {
+          delete refs[name];
+        } else {
+          refs[name] = value;
+        }
+      }
+      
+      await this._saveRefs(refs, entries);
+    });
+  }
+
+  /**
+   * Read reflog entries, oldest first
+   * @param {string} [name] - Ref name, omit for the entries of all refs
+   * @returns {Promise<Array<Object>>} Reflog entries
+   */
+  async getReflog(name) {
+    this._ensureInitialized();
+    
+    // Wait for pending ref updates so their entries are included
+    await this._refWrites;
+    
+    const entries = await this._readReflog();
+    return entries.filter(entry => name === undefined || entry.ref === name);
+  }
+
+  /**
+   * Delete reflog entries older than a point in time
+   * @param {number} before - Entries with an earlier timestamp are deleted
+   * @returns {Promise<number>} Number of entries deleted
+   */
+  async expireReflog(before) {
+    this._ensureInitialized();
+    
+    return this._enqueue(async () => {
+      const entries = await this._readReflog();
+      const kept = entries.filter(entry => entry.timestamp >= before);
+      
+      if (kept.length < entries.length) {
+        // The pending entries were appended by now, and must not come back with init()
+        await this._writeFileAtomic(this._refsPath(), JSON.stringify({ refs: this.refs, reflog: [] }));
+        
+        const contents = kept.map(entry => `${JSON.stringify(entry)}\n`).join('');
+        await this._writeFileAtomic(this._reflogPath(), contents);
+      }
+      
+      return entries.length - kept.length;
+    });
+  }
+
+  /**
+   * Apply a change to the refs and persist them, one update at a time
+   * @private
+   * @param {Function} change - Function mutating a copy of the refs
+   * @returns {Promise<void>}
+   */
+  async _updateRefs(change) {
+    await this._enqueue(async () => {
+      const refs = { ...this.refs };
+      change(refs);
+      await this._saveRefs(refs, []);
+    });
+  }
+
+  /**
+   * Replace refs.json and append the reflog entries of the update. The
+   * entries are stored in refs.json too, so init() can append them if the
+   * append is interrupted.
+   * @private
+   * @param {Object} refs - New refs
+   * @param {Array<Object>} entries - Reflog entries of the update
+   * @returns {Promise<void>}
+   */
+  async _saveRefs(refs, entries) {
+    await this._writeFileAtomic(this._refsPath(), JSON.stringify({ refs, reflog: entries }));
+    this.refs = refs;
+    
+    if (entries.length > 0) {
+      await this._appendReflog(entries);
+    }
+  }
+
+  /**
+   * Append entries to the reflog and flush them to disk
+   * @private
+   * @param {Array<Object>} entries - Reflog entries
+   * @returns {Promise<void>}
+   */
+  async _appendReflog(entries) {
+    const handle = await fs.promises.open(this._reflogPath(), 'a');
+    
+    try {
+      await handle.writeFile(entries.map(entry => `${JSON.stringify(entry)}\n`).join(''), 'utf8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Finish the reflog after a crash: cut off a line left partial, and append
+   * the entries of the latest ref update that did not make it in
+   * @private
+   * @param {Array<Object>} pending - Reflog entries stored with the refs
+   * @returns {Promise<void>}
+   */
+  async _recoverReflog(pending) {
+    const contents = await this._readFile(this._reflogPath());
+    
+    let lines = [];
+    if (contents) {
+      const end = contents.lastIndexOf('\n') + 1;
+      if (end < contents.length) {
+        await fs.promises.truncate(this._reflogPath(), Buffer.byteLength(contents.slice(0, end)));
+      }
+      lines = contents.slice(0, end).split('\n').slice(0, -1);
+    }
+    
+    // The appended part of the pending entries is the longest start of them
+    // the reflog ends with
+    const expected = pending.map(entry => JSON.stringify(entry));
+    let appended = Math.min(expected.length, lines.length);
+    while (appended > 0 &&
+      !expected.slice(0, appended).every((line, i) => line === lines[lines.length - appended + i])) {
+      appended--;
+    }
+    
+    if (appended < pending.length) {
+      await this._appendReflog(pending.slice(appended));
+    }
+  }
+
+  /**
+   * Run a task after every previously queued ref or reflog write
+   * @private
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} Result of the task
+   */
+  _enqueue(task) {
+    const result = this._refWrites.then(task);
+    
+    // Keep the queue going even if this task fails
+    this._refWrites = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Read every reflog entry, skipping a line cut short by a crash while the
+   * adapter was open
+   * @private
+   * @returns {Promise<Array<Object>>} Reflog entries, oldest first
+   */
+  async _readReflog() {
+    const contents = await this._readFile(this._reflogPath());
+    if (!contents) return [];
+    
+    const entries = [];
+    for (const line of contents.split('\n')) {
+      if (!line) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // Only the last line can be partial, it was never acknowledged
+      }
+    }
+    
+    return entries;
+  }
+
+  /**
+   * Path of the refs file
+   * @private
+   * @returns {string} File path
+   */
+  _refsPath() {
+    return path.join(this.directory, 'refs.json');
+  }
+
+  /**
+   * Path of the reflog file
+   * @private
+   * @returns {string} File path
+   */
+  _reflogPath() {
+    return path.join(this.directory, 'reflog.jsonl');
+  }
+
+  /**
+   * Path of the file holding an object
+   * @private
+   * @param {string} hash - Object hash
+   * @returns {string|null} File path, or null if the hash is not a valid hash
+   */
+  _objectPath(hash) {
+    if (typeof hash !== 'string' || !HASH_PATTERN.test(hash)) return null;
+    return path.join(this.directory, 'objects', hash.substring(0, 2), hash);
+  }
+
+  /**
+   * Path of the file holding a commit
+   * @private
+   * @param {string} hash - Commit hash
+   * @returns {string|null} File path, or null if the hash is not a valid hash
+   */
+  _commitPath(hash) {
+    if (typeof hash !== 'string' || !HASH_PATTERN.test(hash)) return null;
+    return path.join(this.directory, 'commits', `${hash}.json`);
+  }
+
+  /**
+   * Read a file, returning null if it does not exist
+   * @private
+   * @param {string} file - File path
+   * @returns {Promise<string|null>} File contents or null
+   */
+  async _readFile(file) {
+    try {
+      return await fs.promises.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Store commits, flushing the commits directory once
+   * @private
+   * @param {Array<Object>} commits - Commit objects
+   * @returns {Promise<void>}
+   */
+  async _putCommits(commits) {
+    for (const commit of commits) {
+      const file = this._commitPath(commit.hash);
+      if (!file) {
+        throw new Error(`Invalid commit hash '${commit.hash}'`);
+      }
+      await this._writeFileAtomic(file, JSON.stringify(commit), false);
+    }
+    
+    if (commits.length > 0) {
+      await this._syncDirectory(path.join(this.directory, 'commits'));
+    }
+  }
+
+  /**
+   * Write a file so that it is either fully written or not changed at all
+   * @private
+   * @param {string} file - File path
+   * @param {string} contents - File contents
+   * @param {boolean} [syncDirectory=true] - Flush the rename to disk; callers
+   *   writing several files to a directory can flush it once at the end
+   * @returns {Promise<void>}
+   */
+  async _writeFileAtomic(file, contents, syncDirectory = true) {
+    const temporary = `${file}.${process.pid}.${Date.now()}.${Math.random().toString(36).slice(2)}.tmp`;
+    const handle = await fs.promises.open(temporary, 'w');
+    
+    try {
+      await handle.writeFile(contents, 'utf8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    
+    await fs.promises.rename(temporary, file);
+    if (syncDirectory) {
+      await this._syncDirectory(path.dirname(file));
+    }
+  }
+
+  /**
+   * Flush the entries of a directory to disk, so renames into it survive a crash
+   * @private
+   * @param {string} directory - Directory path
+   * @returns {Promise<void>}
+   */
+  async _syncDirectory(directory) {
+    let handle;
+    try {
+      handle = await fs.promises.open(directory, 'r');
+      await handle.sync();
+    } catch (error) {
+      // Directories cannot be opened or flushed on some platforms, e.g. Windows
+      if (!['EISDIR', 'EPERM', 'EINVAL', 'EACCES'].includes(error.code)) throw error;
+    } finally {
+      if (handle) await handle.close();
+    }
+  }
+
+  /**
+   * Helper to ensure the adapter is initialized
+   * @private
+   */
+  _ensureInitialized() {
+    if (!this.refs) {
+      throw new Error('Database not initialized, call init() first');
+    }
+  }
+}
+
+module.exports = FileSystemAdapter;
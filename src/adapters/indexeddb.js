@@ -0,0 +1,487 @@
+const { RefConflictError } = require('../errors');
+
+/**
+ * Storage adapter backed by IndexedDB, the default in browsers
+ */
+class IndexedDBAdapter {
+  /**
+   * Create an IndexedDB adapter
+   * @param {Object} [options] - Options
+   * @param {string} [options.name='temporal-db'] - Name of the IndexedDB database
+   * @param {IDBFactory} [options.indexedDB] - IndexedDB implementation, defaults to
+   *   the global one (pass e.g. fake-indexeddb's to use this adapter in Node)
+   */
+  constructor(options = {}) {
+    this.dbName = options.name || 'temporal-db';
+    this.indexedDB = options.indexedDB || null;
+    this.db = null;
+    this.stores = {
+      objects: 'objects', // content-addressable objects
+      refs: 'refs',       // branches and tags
+      commits: 'commits', // commit metadata
+      reflog: 'reflog'    // history of ref updates
+    };
+  }
+
+  /**
+   * Open the database and create its stores if needed. Opening a database
+   * written by an older version upgrades it, which has to wait for every
+   * other connection to it to close; if one stays open the returned promise
+   * is rejected instead of waiting for it.
+   * @returns {Promise<void>}
+   */
+  async init() {
+    if (this.db) return;
+    
+    const factory = this.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+    if (!factory) {
+      throw new Error('IndexedDB is not available, pass an indexedDB implementation or use another storage adapter');
+    }
+    
+    return new Promise((resolve, reject) => {
+      const request = factory.open(this.dbName, 2);
+      let blocked = false;
+      
+      request.onerror = (event) => {
+        reject(new Error(`Failed to open database: ${event.target.error}`));
+      };
+      
+      request.onblocked = () => {
+        blocked = true;
+        reject(new Error(`Database '${this.dbName}' needs an upgrade but is still open elsewhere, ` +
+          'close the other connections and call init() again'));
+      };
+      
+      request.onsuccess = (event) => {
+        const db = event.target.result;
+        
+        // The open went through after init() gave up on it
+        if (blocked) {
+          db.close();
+          return;
+        }
+        
+        // Give way to a newer version opening the database elsewhere
+        db.onversionchange = () => {
+          db.close();
+          if (this.db === db) this.db = null;
+        };
+        
+        this.db = db;
+        resolve();
+      };
+      
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        
+        // Create object store for content-addressable objects
+        if (!db.objectStoreNames.contains(this.stores.objects)) {
+          db.createObjectStore(this.stores.objects);
+        }
+        
+        // Create object store for refs (branches, tags)
+        if (!db.objectStoreNames.contains(this.stores.refs)) {
+          db.createObjectStore(this.stores.refs);
+        }
+        
+        // Create object store for commit metadata
+        if (!db.objectStoreNames.contains(this.stores.commits)) {
+          const commitStore = db.createObjectStore(this.stores.commits, { keyPath: 'hash' });
+          commitStore.createIndex('branch', 'branch', { unique: false });
+          commitStore.createIndex('timestamp', 'timestamp', { unique: false });
+        }
+        
+        // Create object store for the reflog, added in version 2
+        if (!db.objectStoreNames.contains(this.stores.reflog)) {
+          const reflogStore = db.createObjectStore(this.stores.reflog, { autoIncrement: true });
+          reflogStore.createIndex('ref', 'ref', { unique: false });
+        }
+      };
+    });
+  }
+
+  /**
+   * Close the database connection
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /**
+   * Get a serialized object by hash
+   * @param {string} hash - Object hash
+   * @returns {Promise<string|null>} Serialized object or null
+   */
+  async getObject(hash) {
+    const record = await this._withStore(this.stores.objects, 'readonly', (store) => {
+      return store.get(hash);
+    });
+    
+    return record === undefined ? null : IndexedDBAdapter._objectJson(record);
+  }
+
+  /**
+   * Store serialized objects in a single transaction
+   * @param {Array<Object>} records - Records with hash and json
+   * @returns {Promise<void>}
+   */
+  async putObjects(records) {
+    await this._withStore(this.stores.objects, 'readwrite', (store) => {
+      const time = Date.now();
+      for (const { hash, json } of records) {
+        store.put({ json, time }, hash);
+      }
+    });
+  }
+
+  /**
+   * List all stored objects
+   * @returns {Promise<Array<Object>>} Entries with hash, size in bytes and write
+   *   time (null for objects written before write times were recorded)
+   */
+  async listObjects() {
+    const encoder = new TextEncoder();
+    
+    return this._withStore(this.stores.objects, 'readonly', (store) => {
+      return this._collect(store.openCursor(), (cursor, objects) => {
+        const record = cursor.value;
+        objects.push({
+          hash: cursor.key,
+          size: encoder.encode(IndexedDBAdapter._objectJson(record)).length,
+          time: typeof record === 'string' ? null : record.time
+        });
+      }, []);
+    });
+  }
+
+  /**
+   * Delete objects in a single transaction
+   * @param {Array<string>} hashes - Object hashes
+   * @returns {Promise<void>}
+   */
+  async deleteObjects(hashes) {
+    await this._withStore(this.stores.objects, 'readwrite', (store) => {
+      for (const hash of hashes) {
+        store.delete(hash);
+      }
+    });
+  }
+
+  /**
+   * Check which objects exist, in a single transaction
+   * @param {Array<string>} hashes - Object hashes
+   * @returns {Promise<Set<string>>} The hashes that exist
+   */
+  async hasObjects(hashes) {
+    return this._withStore(this.stores.objects, 'readonly', (store) => {
+      const found = new Set();
+      
+      for (const hash of hashes) {
+        store.count(hash).onsuccess = (event) => {
+          if (event.target.result > 0) found.add(hash);
+        };
+      }
+      
+      return found;
+    });
+  }
+
+  /**
+   * Get a ref value
+   * @param {string} name - Ref name
+   * @returns {Promise<string|null>} Ref value or null
+   */
+  async getRef(name) {
+    const value = await this._withStore(this.stores.refs, 'readonly', (store) => {
+      return store.get(name);
+    });
+    
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * Set a ref value
+   * @param {string} name - Ref name
+   * @param {string} value - Ref value
+   * @returns {Promise<void>}
+   */
+  async putRef(name, value) {
+    await this._withStore(this.stores.refs, 'readwrite', (store) => {
+      store.put(value, name);
+    });
+  }
+
+  /**
+   * Delete a ref
+   * @param {string} name - Ref name
+   * @returns {Promise<void>}
+   */
+  async deleteRef(name) {
+    await this._withStore(this.stores.refs, 'readwrite', (store) => {
+      store.delete(name);
+    });
+  }
+
+  /**
+   * List refs starting with a prefix
+   * @param {string} prefix - Ref name prefix
+   * @returns {Promise<Object>} Object mapping ref names to values
+   */
+  async listRefs(prefix) {
+    return this._withStore(this.stores.refs, 'readonly', (store) => {
+      return this._collect(store.openCursor(), (cursor, refs) => {
+        if (!prefix || cursor.key.startsWith(prefix)) {
+          refs[cursor.key] = cursor.value;
+        }
+      }, {});
+    });
+  }
+
+  /**
+   * Get a commit by hash
+   * @param {string} hash - Commit hash
+   * @returns {Promise<Object|null>} Commit or null
+   */
+  async getCommit(hash) {
+    const commit = await this._withStore(this.stores.commits, 'readonly', (store) => {
+      return store.get(hash);
+    });
+    
+    return commit === undefined ? null : commit;
+  }
+
+  /**
+   * Store a commit
+   * @param {Object} commit - Commit object
+   * @returns {Promise<void>}
+   */
+  async putCommit(commit) {
+    await this._withStore(this.stores.commits, 'readwrite', (store) => {
+      store.put(commit);
+    });
+  }
+
+  /**
+   * Delete a commit
+   * @param {string} hash - Commit hash
+   * @returns {Promise<void>}
+   */
+  async deleteCommit(hash) {
+    await this._withStore(this.stores.commits, 'readwrite', (store) => {
+      store.delete(hash);
+    });
+  }
+
+  /**
+   * List all commits
+   * @returns {Promise<Array<Object>>} Commit objects
+   */
+  async listCommits() {
+    return this._withStore(this.stores.commits, 'readonly', (store) => {
+      return this._collect(store.openCursor(), (cursor, commits) => {
+        commits.push(cursor.value);
+      }, []);
+    });
+  }
+
+  /**
+   * Write objects, commits, ref updates and their reflog entries in a single
+   * transaction. Ref expectations are checked inside the transaction, which
+   * is aborted if any of them fails.
+   * @param {Object} batch - Batch with objects, commits and refs
+   * @returns {Promise<void>}
+   */
+  async write(batch) {
+    if (!this.db) {
+      throw new Error('Database not initialized, call init() first');
+    }
+    
+    const storeNames = [this.stores.objects, this.stores.commits, this.stores.refs, this.stores.reflog];
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeNames, 'readwrite');
+      const objects = transaction.objectStore(this.stores.objects);
+      const commits = transaction.objectStore(this.stores.commits);
+      const refs = transaction.objectStore(this.stores.refs);
+      const reflog = transaction.objectStore(this.stores.reflog);
+      const actuals = new Map();
+      let conflict = null;
+      
+      transaction.oncomplete = () => resolve();
+      transaction.onabort = () => {
+        reject(conflict || new Error(`Transaction aborted: ${transaction.error}`));
+      };
+      transaction.onerror = (event) => {
+        if (!conflict) {
+          reject(new Error(`Transaction error: ${event.target.error}`));
+        }
+      };
+      
+      const writeAll = () => {
+        const time = Date.now();
+        for (const { hash, json } of batch.objects || []) {
+          objects.put({ json, time }, hash);
+        }
+        
+        for (const commit of batch.commits || []) {
+          commits.put(commit);
+        }
+        
+        for (const { name, value, log } of batch.refs || []) {
+          if (log) {
+            reflog.add({ ref: name, old: actuals.get(name), new: value, ...log });
+          }
+          
+          if (value === null) {
+            refs.delete(name);
+          } else {
+            refs.put(value, name);
+          }
+        }
+      };
+      
+      // Read the refs that are checked or logged first, write once all expectations match
+      const reads = (batch.refs || []).filter(update => update.expected !== undefined || update.log);
+      let pending = reads.length;
+      
+      if (pending === 0) {
+        writeAll();
+        return;
+      }
+      
+      for (const { name, expected } of reads) {
+        refs.get(name).onsuccess = (event) => {
+          if (conflict) return;
+          
+          const actual = event.target.result === undefined ? null : event.target.result;
+          if (expected !== undefined && actual !== expected) {
+            conflict = new RefConflictError(name, expected, actual);
+            transaction.abort();
+            return;
+          }
+          
+          actuals.set(name, actual);
+          if (--pending === 0) {
+            writeAll();
+          }
+        };
+      }
+    });
+  }
+
+  /**
+   * Read reflog entries, oldest first
+   * @param {string} [name] - Ref name, omit for the entries of all refs
+   * @returns {Promise<Array<Object>>} Reflog entries
+   */
+  async getReflog(name) {
+    return this._withStore(this.stores.reflog, 'readonly', (store) => {
+      const request = name === undefined
+        ? store.openCursor()
+        : store.index('ref').openCursor(name);
+      
+      return this._collect(request, (cursor, entries) => {
+        entries.push(cursor.value);
+      }, []);
+    });
+  }
+
+  /**
+   * Delete reflog entries older than a point in time
+   * @param {number} before - Entries with an earlier timestamp are deleted
+   * @returns {Promise<number>} Number of entries deleted
+   */
+  async expireReflog(before) {
+    return this._withStore(this.stores.reflog, 'readwrite', (store) => {
+      return this._collect(store.openCursor(), (cursor, counter) => {
+        if (cursor.value.timestamp < before) {
+          cursor.delete();
+          counter.count++;
+        }
+      }, { count: 0 }).then(counter => counter.count);
+    });
+  }
+
+  /**
+   * Get the serialized object from a stored record. Objects used to be stored
+   * as bare JSON strings and are now stored with their write time.
+   * @private
+   * @param {string|Object} record - Stored record
+   * @returns {string} Serialized object
+   */
+  static _objectJson(record) {
+    return typeof record === 'string' ? record : record.json;
+  }
+
+  /**
+   * Iterate a cursor request to its end
+   * @private
+   * @param {IDBRequest} request - Cursor request
+   * @param {Function} visit - Called with the cursor and the accumulator
+   * @param {*} accumulator - Value collecting the results
+   * @returns {Promise<*>} The accumulator once the cursor is exhausted
+   */
+  _collect(request, visit, accumulator) {
+    return new Promise((resolve) => {
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          visit(cursor, accumulator);
+          cursor.continue();
+        } else {
+          resolve(accumulator);
+        }
+      };
+    });
+  }
+
+  /**
+   * Helper for working with object stores
+   * @private
+   * @param {string} storeName - Name of the store to use
+   * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+   * @param {Function} callback - Function to execute with the store
+   * @returns {Promise<any>} Result of the callback
+   */
+  async _withStore(storeName, mode, callback) {
+    if (!this.db) {
+      throw new Error('Database not initialized, call init() first');
+    }
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeName, mode);
+      const store = transaction.objectStore(storeName);
+      
+      transaction.oncomplete = () => {
+        resolve(result);
+      };
+      
+      transaction.onerror = (event) => {
+        reject(new Error(`Transaction error: ${event.target.error}`));
+      };
+      
+      let result;
+      try {
+        result = callback(store);
+        
+        // Requests resolve to their result once the transaction completes
+        if (result && typeof result === 'object' && 'readyState' in result && 'onsuccess' in result) {
+          const request = result;
+          request.onsuccess = () => {
+            result = request.result;
+          };
+          request.onerror = (event) => {
+            reject(new Error(`Request error: ${event.target.error}`));
+          };
+        }
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+}
+
+module.exports = IndexedDBAdapter;
@@ -0,0 +1,225 @@
+const { RefConflictError } = require('../errors');
+
+/**
+ * Storage adapter keeping everything in memory. Data lives as long as the
+ * adapter instance, which makes it suited to tests and short-lived processes.
+ */
+class MemoryAdapter {
+  /**
+   * Create an in-memory adapter
+   */
+  constructor() {
+    this.objects = new Map();
+    this.objectTimes = new Map();
+    this.refs = new Map();
+    this.commits = new Map();
+    this.reflog = [];
+  }
+
+  /**
+   * Initialize the adapter
+   * @returns {Promise<void>}
+   */
+  async init() {}
+
+  /**
+   * Close the adapter, keeping its data for a later init()
+   */
+  close() {}
+
+  /**
+   * Get a serialized object by hash
+   * @param {string} hash - Object hash
+   * @returns {Promise<string|null>} Serialized object or null
+   */
+  async getObject(hash) {
+    return this.objects.has(hash) ? this.objects.get(hash) : null;
+  }
+
+  /**
+   * Store serialized objects
+   * @param {Array<Object>} records - Records with hash and json
+   * @returns {Promise<void>}
+   */
+  async putObjects(records) {
+    const time = Date.now();
+    for (const { hash, json } of records) {
+      this.objects.set(hash, json);
+      this.objectTimes.set(hash, time);
+    }
+  }
+
+  /**
+   * List all stored objects without loading their contents
+   * @returns {Promise<Array<Object>>} Entries with hash, size in bytes and write time
+   */
+  async listObjects() {
+    const encoder = new TextEncoder();
+    return [...this.objects.entries()].map(([hash, json]) => ({
+      hash,
+      size: encoder.encode(json).length,
+      time: this.objectTimes.get(hash)
+    }));
+  }
+
+  /**
+   * Delete objects
+   * @param {Array<string>} hashes - Object hashes
+   * @returns {Promise<void>}
+   */
+  async deleteObjects(hashes) {
+    for (const hash of hashes) {
+      this.objects.delete(hash);
+      this.objectTimes.delete(hash);
+    }
+  }
+
+  /**
+   * Check which objects exist
+   * @param {Array<string>} hashes - Object hashes
+   * @returns {Promise<Set<string>>} The hashes that exist
+   */
+  async hasObjects(hashes) {
+    return new Set(hashes.filter(hash => this.objects.has(hash)));
+  }
+
+  /**
+   * Get a ref value
+   * @param {string} name - Ref name
+   * @returns {Promise<string|null>} Ref value or null
+   */
+  async getRef(name) {
+    return this.refs.has(name) ? this.refs.get(name) : null;
+  }
+
+  /**
+   * Set a ref value
+   * @param {string} name - Ref name
+   * @param {string} value - Ref value
+   * @returns {Promise<void>}
+   */
+  async putRef(name, value) {
+    this.refs.set(name, value);
+  }
+
+  /**
+   * Delete a ref
+   * @param {string} name - Ref name
+   * @returns {Promise<void>}
+   */
+  async deleteRef(name) {
+    this.refs.delete(name);
+  }
+
+  /**
+   * List refs starting with a prefix
+   * @param {string} prefix - Ref name prefix
+   * @returns {Promise<Object>} Object mapping ref names to values
+   */
+  async listRefs(prefix) {
+    const refs = {};
+    for (const [name, value] of this.refs) {
+      if (!prefix || name.startsWith(prefix)) {
+        refs[name] = value;
+      }
+    }
+    return refs;
+  }
+
+  /**
+   * Get a commit by hash
+   * @param {string} hash - Commit hash
+   * @returns {Promise<Object|null>} Commit or null
+   */
+  async getCommit(hash) {
+    return this.commits.has(hash) ? JSON.parse(this.commits.get(hash)) : null;
+  }
+
+  /**
+   * Store a commit
+   * @param {Object} commit - Commit object
+   * @returns {Promise<void>}
+   */
+  async putCommit(commit) {
+    this.commits.set(commit.hash, JSON.stringify(commit));
+  }
+
+  /**
+   * Delete a commit
+   * @param {string} hash - Commit hash
+   * @returns {Promise<void>}
+   */
+  async deleteCommit(hash) {
+    this.commits.delete(hash);
+  }
+
+  /**
+   * List all commits
+   * @returns {Promise<Array<Object>>} Commit objects
+   */
+  async listCommits() {
+    return [...this.commits.values()].map(json => JSON.parse(json));
+  }
+
+  /**
+   * Write objects, commits and ref updates all at once
+   * @param {Object} batch - Batch with objects, commits and refs
+   * @returns {Promise<void>}
+   */
+  async write(batch) {
+    // Check every expectation before changing anything
+    for (const { name, expected } of batch.refs || []) {
+      const actual = this.refs.has(name) ? this.refs.get(name) : null;
+      if (expected !== undefined && expected !== actual) {
+        throw new RefConflictError(name, expected, actual);
+      }
+    }
+
+    const time = Date.now();
+    for (const { hash, json } of batch.objects || []) {
+      this.objects.set(hash, json);
+      this.objectTimes.set(hash, time);
+    }
+
+    for (const commit of batch.commits || []) {
+      this.commits.set(commit.hash, JSON.stringify(commit));
+    }
+
+    for (const { name, value, log } of batch.refs || []) {
+      if (log) {
+        const old = this.refs.has(name) ? this.refs.get(name) : null;
+        this.reflog.push({ ref: name, old, new: value, ...log });
+      }
+
+      if (value === null) {
+        this.refs.delete(name);
+      } else {
+        this.refs.set(name, value);
+      }
+    }
+  }
+
+  /**
+   * Read reflog entries, oldest first
+   * @param {string} [name] - Ref name, omit for the entries of all refs
+   * @returns {Promise<Array<Object>>} Reflog entries
+   */
+  async getReflog(name) {
+    return this.reflog
+      .filter(entry => name === undefined || entry.ref === name)
+      .map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Delete reflog entries older than a point in time
+   * @param {number} before - Entries with an earlier timestamp are deleted
+   * @returns {Promise<number>} Number of entries deleted
+   */
+  async expireReflog(before) {
+    const count = this.reflog.length;
+    this.reflog = this.reflog.filter(entry => entry.timestamp >= before);
+    return count - this.reflog.length;
+  }
+}
+
+module.exports = MemoryAdapter;
@@ -0,0 +1,178 @@
+const Path = require('./path');
+
+/**
+ * Answers who changed what: the commits that changed a path, and the commit
+ * that last set each value of a document.
+ *
+ * Both compare node hashes between a commit and its parents instead of
+ * loading their data, so a subtree a commit did not touch is passed over
+ * with a single hash comparison.
+ */
+class Blame {
+  /**
+   * Create a blame manager
+   * @param {Object} storage - Storage instance
+   * @param {Object} branch - Branch manager
+   */
+  constructor(storage, branch) {
+    this.storage = storage;
+    this.branch = branch;
+    this.hashes = new Map();
+  }
+
+  /**
+   * List the commits that changed a path, most recent first. A commit changed
+   * the path when its value differs from the one in each of its parents, so a
+   * merge that took the value from one side is not listed again.
+   * @param {string} branchName - Branch name, or a revision to go back from
+   * @param {string|Array<string>} path - Path to follow
+   * @param {Object} [options] - History options
+   * @param {Date|string|number} [options.since] - Leave out commits made before this time
+   * @param {Date|string|number} [options.until] - Leave out commits made after this time
+   * @returns {Promise<Array<Object>>} Changes with the `commit`, and the
+   *   `oldValue` and `newValue` at the path (undefined where it is absent)
+   */
+  async pathHistory(branchName, path, options = {}) {
+    const headHash = await this.branch.resolve(branchName);
+    const since = options.since !== undefined ? Blame.toTime(options.since) : -Infinity;
+    const until = options.until !== undefined ? Blame.toTime(options.until) : Infinity;
+    const segments = Path.parse(path);
+    
+    const changes = [];
+    for await (const commit of this.branch.walkCommits([headHash])) {
+      if (commit.timestamp > until) continue;
+      if (commit.timestamp < since) break;
+      
+      const newHash = await this._hashAt(commit.rootHash, segments);
+      const parentHashes = [];
+      for (const parentHash of commit.parents) {
+        const parent = await this.storage.getCommit(parentHash);
+        parentHashes.push(parent ? await this._hashAt(parent.rootHash, segments) : null);
+      }
+      
+      // A root commit changed the path if it has it
+      if (parentHashes.length === 0) parentHashes.push(null);
+      if (parentHashes.includes(newHash)) continue;
+      
+      // Compared with the first parent, the line the change was made on
+      const oldHash = parentHashes[0];
+      
+      changes.push({
+        commit,
+        oldValue: await this._loadValue(oldHash),
+        newValue: await this._loadValue(newHash)
+      });
+    }
+    
+    return changes;
+  }
+
+  /**
+   * Find the commit that last set each leaf value of a branch. A value is
+   * followed back through any parent that has the same node at its path;
+   * the commit where no parent does is the one that set it. Empty objects
+   * and arrays count as leaves.
+   * @param {string} branchName - Branch name, or a revision to blame
+   * @returns {Promise<Object>} Object mapping leaf paths to commit objects
+   */
+  async blame(branchName) {
+    const headHash = await this.branch.resolve(branchName);
+    const head = await this.storage.getCommit(headHash);
+    const result = {};
+    
+    const stack = [{ commit: head, segments: [], hash: head.rootHash }];
+    while (stack.length > 0) {
+      let { commit, segments, hash } = stack.pop();
+      
+      // Go back while a parent has the same subtree, without looking inside it
+      let parent = await this._parentWithNode(commit, segments, hash);
+      while (parent) {
+        commit = parent;
+        parent = await this._parentWithNode(commit, segments, hash);
+      }
+      
+      const node = await this.storage.get(hash);
+      const keys = node && node.children ? Object.keys(node.children) : [];
+      if (keys.length === 0) {
+        result[Path.stringify(segments)] = commit;
+        continue;
+      }
+      
+      // The subtree changed in this commit, find which of its children did
+      for (const key of keys.reverse()) {
+        stack.push({ commit, segments: [...segments, key], hash: node.children[key] });
+      }
+    }
+    
+    return result;
+  }
+
+  /**
+   * Convert a point in time to a timestamp
+   * @param {Date|string|number} time - Date, date string or timestamp
+   * @returns {number} Timestamp in milliseconds
+   * @throws {Error} If the time cannot be understood
+   */
+  static toTime(time) {
+    const timestamp = time instanceof Date ? time.getTime() : new Date(time).getTime();
+    if (Number.isNaN(timestamp)) {
+      throw new Error(`Invalid time '${time}'`);
+    }
+    return timestamp;
+  }
+
+  /**
+   * Find a parent of a commit that has a given node at a path
+   * @private
+   * @param {Object} commit - Commit
+   * @param {Array<string>} segments - Path segments
+   * @param {string} hash - Node hash
+   * @returns {Promise<Object|null>} First such parent, or null if none has it
+   */
+  async _parentWithNode(commit, segments, hash) {
+    for (const parentHash of commit.parents || []) {
+      const parent = await this.storage.getCommit(parentHash);
+      if (parent && await this._hashAt(parent.rootHash, segments) === hash) {
+        return parent;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the hash of the node at a path in a stored tree. Hashes are cached
+   * per prefix, so paths sharing a prefix only load the prefix once.
+   * @private
+   * @param {string} rootHash - Root hash of the tree
+   * @param {Array<string>} segments - Path segments
+   * @returns {Promise<string|null>} Node hash or null if the path does not exist
+   */
+  async _hashAt(rootHash, segments) {
+    if (segments.length === 0) return rootHash;
+    
+    const key = `${rootHash}:${Path.stringify(segments)}`;
+    if (this.hashes.has(key)) return this.hashes.get(key);
+    
+    const parentHash = await this._hashAt(rootHash, segments.slice(0, -1));
+    const node = parentHash ? await this.storage.get(parentHash) : null;
+    const last = segments[segments.length - 1];
+    const hash = node && node.children && Object.prototype.hasOwnProperty.call(node.children, last)
+      ? node.children[last]
+      : null;
+    
+    this.hashes.set(key, hash);
+    return hash;
+  }
+
+  /**
+   * Load the value of a stored node
+   * @private
+   * @param {string|null} hash - Node hash
+   * @returns {Promise<*>} Plain value, or undefined without a node
+   */
+  async _loadValue(hash) {
+    return hash ? this.branch._loadValue(hash) : undefined;
+  }
+}
+
+module.exports = Blame;
@@ -1,5 +1,17 @@
 const MerkleTree = require('./merkle');
 const Diff = require('./diff');
+const Commit = require('./commit');
+const LazyTree = require('./lazy');
+const Tag = require('./tag');
+const Revision = require('./revision');
+const Path = require('./path');
+const MergeState = require('./mergestate');
+const { MergeInProgressError } = require('./errors');
+
+// Ref recording the on-disk format, absent for legacy databases. Format 2
+// gave commits their own identity, format 3 made node hashes cover the type.
+const FORMAT_REF = 'FORMAT';
+const FORMAT_VERSION = '3';
 
 /**
  * Manages branches and commits
@@ -8,13 +20,17 @@ class Branch {
   /**
    * Creates a new Branch manager
    * @param {Object} storage - Storage instance
+   * @param {Object} [options] - Options
+   * @param {string} [options.author] - Default author recorded on commits
    */
-  constructor(storage) {
+  constructor(storage, options = {}) {
     this.storage = storage;
+    this.author = options.author || null;
   }
 
   /**
-   * Initialize with default main branch if it doesn't exist
+   * Initialize with default main branch if it doesn't exist,
+   * migrating databases written in the legacy commit format
    * @returns {Promise<boolean>} True if initialization was needed
    */
   async init() {
@@ -22,27 +38,264 @@ class Branch {
     
     if (!mainExists) {
       const emptyTree = MerkleTree.fromObject({});
-      const rootHash = await MerkleTree.storeTree(this.storage, emptyTree);
       
-      const commit = {
-        hash: rootHash,
-        parent: null,
-        branch: 'main',
+      const commit = Commit.create({
+        rootHash: emptyTree.hash,
+        parents: [],
+        author: this.author,
         message: 'Initial commit',
-        timestamp: Date.now(),
-        rootHash
-      };
+        branch: 'main'
+      });
       
-      await this.storage.saveCommit(commit);
-      await this.storage.saveRef('branch/main', rootHash);
-      await this.storage.saveRef('HEAD', 'branch/main');
+      // Expecting main to be absent keeps two concurrent inits from both writing
+      await this.storage.writeBatch({
+        objects: await MerkleTree.collectNewNodes(this.storage, emptyTree),
+        commits: [commit],
+        refs: [
+          {
+            name: 'branch/main',
+            value: commit.hash,
+            expected: null,
+            log: { operation: 'commit', message: commit.message, author: this.author }
+          },
+          { name: 'HEAD', value: 'branch/main', log: { operation: 'checkout', message: 'Moving to main', author: this.author } },
+          { name: FORMAT_REF, value: FORMAT_VERSION }
+        ]
+      });
       
       return true;
     }
     
+    const format = await this.storage.getRef(FORMAT_REF);
+    if (!format) {
+      await this.migrateLegacyCommits();
+    }
+    if (format !== FORMAT_VERSION) {
+      await this.migrateTreeHashes();
+    }
+    
     return false;
   }
 
+  /**
+   * Rewrite commits stored in the legacy format, where a commit was keyed
+   * by its tree hash, into commits with their own identity. Parent links
+   * and refs are remapped to the new hashes.
+   *
+   * Legacy databases may contain commit records overwritten by a later
+   * commit of the same data, so a parent link can point at a commit made
+   * after its child. Such links are cut and the child is treated as a root,
+   * which also breaks any loop they formed.
+   *
+   * The rewritten commits, the moved refs and the format marker are written
+   * in one batch, so an interrupted migration either did nothing and runs
+   * again on the next init, or is complete. Legacy records are only deleted
+   * afterwards; any left behind by a crash are unreachable and go to gc().
+   * @returns {Promise<Object>} Map of legacy hashes to new commit hashes
+   */
+  async migrateLegacyCommits() {
+    const commits = await this.storage.listCommits();
+    const legacy = new Map();
+    
+    for (const commit of commits) {
+      if (Commit.isLegacy(commit)) {
+        legacy.set(commit.hash, commit);
+      }
+    }
+    
+    // A parent can only be followed back in time, the others were overwritten
+    const legacyParent = (old) => {
+      const parent = old.parent && legacy.get(old.parent);
+      return parent && parent.timestamp <= old.timestamp ? old.parent : null;
+    };
+    
+    // Parents must be rewritten before their children
+    const mapping = {};
+    for (const start of legacy.keys()) {
+      const stack = [start];
+      const onStack = new Set(stack);
+      
+      while (stack.length > 0) {
+        const hash = stack[stack.length - 1];
+        const old = legacy.get(hash);
+        const parentHash = legacyParent(old);
+        
+        if (parentHash && !mapping[parentHash] && !onStack.has(parentHash)) {
+          stack.push(parentHash);
+          onStack.add(parentHash);
+          continue;
+        }
+        
+        stack.pop();
+        onStack.delete(hash);
+        if (mapping[hash]) continue;
+        
+        let parent = old.parent && !legacy.has(old.parent) ? old.parent : null;
+        if (parentHash && mapping[parentHash]) {
+          parent = mapping[parentHash].hash;
+        }
+        
+        mapping[hash] = Commit.create({
+          rootHash: old.rootHash,
+          parents: parent ? [parent] : [],
+          author: null,
+          message: old.message,
+          timestamp: old.timestamp,
+          branch: old.branch
+        });
+      }
+    }
+    
+    // Point refs at the rewritten commits
+    const refs = [];
+    for (const [name, value] of Object.entries(await this.storage.listRefs())) {
+      if (mapping[value]) {
+        refs.push({
+          name,
+          value: mapping[value].hash,
+          expected: value,
+          log: { operation: 'migrate', message: 'Rewritten in the current commit format' }
+        });
+      }
+    }
+    
+    await this.storage.writeBatch({
+      commits: Object.values(mapping),
+      refs: [...refs, { name: FORMAT_REF, value: '2' }]
+    });
+    
+    for (const hash of Object.keys(mapping)) {
+      await this.storage.deleteCommit(hash);
+    }
+    
+    const result = {};
+    for (const [hash, commit] of Object.entries(mapping)) {
+      result[hash] = commit.hash;
+    }
+    return result;
+  }
+
+  /**
+   * Rehash the stored trees of a format 2 database, whose node hashes left
+   * out the node type, and rewrite every commit, tag object and merge state
+   * on top of the new hashes. Parent links and refs are remapped.
+   *
+   * Everything is written in one batch together with the format marker, so
+   * an interrupted migration runs again on the next init. The old commits
+   * and nodes are left in place: reflog entries still point at them, and
+   * gc() removes them once those entries expire.
+   * @returns {Promise<Object>} Map of old commit hashes to new commit hashes
+   */
+  async migrateTreeHashes() {
+    const commits = new Map();
+    for (const commit of await this.storage.listCommits()) {
+      commits.set(commit.hash, commit);
+    }
+    
+    const objects = [];
+    const nodes = new Map();
+    
+    // Rebuild a stored tree bottom-up, reusing nodes shared between commits
+    const rehash = async (hash) => {
+      if (nodes.has(hash)) return nodes.get(hash);
+      
+      const node = await this.storage.get(hash);
+      if (!node) {
+        throw new Error(`Node with hash ${hash} not found in storage`);
+      }
+      
+      let data = { type: node.type, value: node.value };
+      if (node.children) {
+        const children = {};
+        for (const [key, child] of Object.entries(node.children)) {
+          children[key] = await rehash(child);
+        }
+        data = { type: node.type, children };
+      }
+      
+      const newHash = MerkleTree.hashNode(data);
+      objects.push({ hash: newHash, data });
+      nodes.set(hash, newHash);
+      return newHash;
+    };
+    
+    // Parents must be rewritten before their children
+    const mapping = {};
+    for (const start of commits.keys()) {
+      const stack = [start];
+      
+      while (stack.length > 0) {
+        const hash = stack[stack.length - 1];
+        if (mapping[hash]) {
+          stack.pop();
+          continue;
+        }
+        
+        const old = commits.get(hash);
+        const pending = old.parents.filter(parent => commits.has(parent) && !mapping[parent]);
+        if (pending.length > 0) {
+          stack.push(...pending);
+          continue;
+        }
+        
+        stack.pop();
+        mapping[hash] = Commit.create({
+          rootHash: await rehash(old.rootHash),
+          parents: old.parents.map(parent => (mapping[parent] ? mapping[parent].hash : parent)),
+          author: old.author,
+          message: old.message,
+          timestamp: old.timestamp,
+          branch: old.branch
+        });
+      }
+    }
+    
+    const remap = hash => (mapping[hash] ? mapping[hash].hash : hash);
+    const refs = [];
+    const log = { operation: 'migrate', message: 'Rewritten in the current tree format' };
+    
+    for (const [name, value] of Object.entries(await this.storage.listRefs())) {
+      if (mapping[value]) {
+        refs.push({ name, value: remap(value), expected: value, log });
+        continue;
+      }
+      
+      const object = name.startsWith('tag/') || name === MergeState.REF
+        ? await this.storage.get(value)
+        : null;
+      
+      let rewritten = null;
+      if (Tag.isTag(object)) {
+        rewritten = Tag.create({ ...object, commit: remap(object.commit) });
+      } else if (name === MergeState.REF && MergeState.isMergeState(object)) {
+        rewritten = MergeState.create({
+          ...object,
+          sourceHead: remap(object.sourceHead),
+          targetHead: remap(object.targetHead),
+          ancestorHash: remap(object.ancestorHash)
+        });
+      }
+      
+      if (rewritten) {
+        const { hash, ...data } = rewritten;
+        objects.push({ hash, data });
+        refs.push({ name, value: hash, expected: value, log });
+      }
+    }
+    
+    await this.storage.writeBatch({
+      objects,
+      commits: Object.values(mapping),
+      refs: [...refs, { name: FORMAT_REF, value: FORMAT_VERSION }]
+    });
+    
+    const result = {};
+    for (const [hash, commit] of Object.entries(mapping)) {
+      result[hash] = commit.hash;
+    }
+    return result;
+  }
+
   /**
    * Get the current branch name
    * @returns {Promise<string>} Current branch name
@@ -57,7 +310,29 @@ class Branch {
       return headRef.substring(7); // Remove 'branch/' prefix
     }
     
-    throw new Error('HEAD is in detached state');
+    throw new Error(`HEAD is in detached state at ${headRef}`);
+  }
+
+  /**
+   * Describe what HEAD points at
+   * @returns {Promise<Object>} Object with the checked out `branch` (null when
+   *   detached), the `commit` HEAD resolves to and a `detached` flag
+   */
+  async getHead() {
+    const headRef = await this.storage.getRef('HEAD');
+    if (!headRef) {
+      throw new Error('HEAD reference not found');
+    }
+    
+    if (headRef.startsWith('branch/')) {
+      return {
+        branch: headRef.substring(7), // Remove 'branch/' prefix
+        commit: await this.storage.getRef(headRef),
+        detached: false
+      };
+    }
+    
+    return { branch: null, commit: headRef, detached: true };
   }
 
   /**
@@ -79,9 +354,9 @@ class Branch {
   }
 
   /**
-   * Create a new branch from a source branch
+   * Create a new branch from a source branch or any other revision
    * @param {string} newBranchName - Name for the new branch
-   * @param {string} sourceBranchName - Source branch name
+   * @param {string} sourceBranchName - Source branch name or revision expression
    * @returns {Promise<string>} New branch head commit hash
    */
   async createBranch(newBranchName, sourceBranchName) {
@@ -94,32 +369,59 @@ class Branch {
       throw new Error(`Branch '${newBranchName}' already exists`);
     }
     
-    // Get source branch head
-    const sourceHead = await this.getBranchHead(sourceBranchName);
-    if (!sourceHead) {
+    // Get the commit the source branch or revision names
+    let sourceHead;
+    try {
+      sourceHead = await this.resolve(sourceBranchName);
+    } catch (error) {
       throw new Error(`Source branch '${sourceBranchName}' does not exist`);
     }
     
-    // Create new branch pointing to the same commit
-    await this.storage.saveRef(`branch/${newBranchName}`, sourceHead);
+    // Create new branch pointing to the same commit, unless it was created meanwhile
+    await this.storage.writeBatch({
+      refs: [{
+        name: `branch/${newBranchName}`,
+        value: sourceHead,
+        expected: null,
+        log: { operation: 'branch', message: `Created from ${sourceBranchName}`, author: this.author }
+      }]
+    });
     
     return sourceHead;
   }
 
   /**
-   * Switch to a different branch
-   * @param {string} branchName - Branch to switch to
+   * Switch to a different branch, or detach HEAD onto any other revision
+   * such as a tag or a historical commit
+   * @param {string} branchName - Branch to switch to, or revision to detach onto
    * @returns {Promise<string>} New HEAD commit hash
    */
   async checkout(branchName) {
     const branchHead = await this.getBranchHead(branchName);
-    if (!branchHead) {
+    if (branchHead) {
+      await this.storage.saveRef('HEAD', `branch/${branchName}`, {
+        operation: 'checkout',
+        message: `Moving to ${branchName}`,
+        author: this.author
+      });
+      return branchHead;
+    }
+    
+    // Not a branch, so HEAD points straight at the commit
+    let commitHash;
+    try {
+      commitHash = await this.resolve(branchName);
+    } catch (error) {
       throw new Error(`Branch '${branchName}' does not exist`);
     }
     
-    await this.storage.saveRef('HEAD', `branch/${branchName}`);
+    await this.storage.saveRef('HEAD', commitHash, {
+      operation: 'checkout',
+      message: `Moving to ${branchName}`,
+      author: this.author
+    });
     
-    return branchHead;
+    return commitHash;
   }
 
   /**
@@ -127,38 +429,78 @@ class Branch {
    * @param {string} branchName - Branch to commit to
    * @param {Object} data - Data to commit
    * @param {string} message - Commit message
+   * @param {Object} [options] - Commit options
+   * @param {string} [options.author] - Commit author (defaults to the manager's author)
+   * @param {Array<string>} [options.parents] - Parent commit hashes, overriding the
+   *   branch head (used for merge commits)
+   * @param {string|null} [options.expectedHead] - Head the branch must still be at
+   *   when the commit is written (defaults to the head read at the start)
+   * @param {string} [options.operation='commit'] - Operation recorded in the reflog
+   * @param {boolean} [options.force=false] - Commit even while a merge into the
+   *   branch is in progress
+   * @param {Array<Object>} [options.refs] - Further ref updates to write together
+   *   with the commit
    * @returns {Promise<Object>} Commit object
+   * @throws {RefConflictError} If the branch moved before the commit was written
+   * @throws {MergeInProgressError} If a merge into the branch is in progress
    */
-  async commit(branchName, data, message) {
+  async commit(branchName, data, message, options = {}) {
     const branchRef = `branch/${branchName}`;
     
+    if (!options.force) {
+      const merge = await this.getMergeState();
+      if (merge && merge.targetBranch === branchName) {
+        throw new MergeInProgressError(merge.sourceBranch, merge.targetBranch);
+      }
+    }
+    
     // Get the current branch head
-    const parentHash = await this.storage.getRef(branchRef);
+    const parentHash = options.expectedHead !== undefined
+      ? options.expectedHead
+      : await this.storage.getRef(branchRef);
     
     // Create Merkle tree from new data
     const tree = MerkleTree.fromObject(data);
-    const rootHash = await MerkleTree.storeTree(this.storage, tree);
+    const objects = await MerkleTree.collectNewNodes(this.storage, tree);
     
     // Create commit object
-    const timestamp = Date.now();
-    const commit = {
-      hash: rootHash,
-      parent: parentHash,
-      branch: branchName,
+    const commit = Commit.create({
+      rootHash: tree.hash,
+      parents: options.parents || (parentHash ? [parentHash] : []),
+      author: options.author || this.author,
       message: message || 'Update',
-      timestamp,
-      rootHash
-    };
+      timestamp: Date.now(),
+      branch: branchName
+    });
     
-    // Store commit metadata
-    await this.storage.saveCommit(commit);
-    
-    // Update branch reference
-    await this.storage.saveRef(branchRef, rootHash);
+    // Store tree, commit and branch update together, only if the branch
+    // has not moved since its head was read
+    await this.storage.writeBatch({
+      objects,
+      commits: [commit],
+      refs: [{
+        name: branchRef,
+        value: commit.hash,
+        expected: parentHash || null,
+        log: { operation: options.operation || 'commit', message: commit.message, author: commit.author }
+      }, ...(options.refs || [])]
+    });
     
     return commit;
   }
 
+  /**
+   * Get the record of the merge in progress, if any
+   * @returns {Promise<Object|null>} Merge state object with its hash, see mergestate.js
+   */
+  async getMergeState() {
+    const hash = await this.storage.getRef(MergeState.REF);
+    if (!hash) return null;
+    
+    const state = await this.storage.get(hash);
+    return MergeState.isMergeState(state) ? { ...state, hash } : null;
+  }
+
   /**
    * Get data at a specific commit
    * @param {string} commitHash - Commit hash
@@ -176,18 +518,110 @@ class Branch {
 
   /**
    * Get data for a branch at the latest commit
-   * @param {string} branchName - Branch name
+   * @param {string} branchName - Branch name, or a revision to read
    * @returns {Promise<Object>} Latest data for the branch
    */
   async getBranchData(branchName) {
-    const headHash = await this.getBranchHead(branchName);
-    if (!headHash) {
-      throw new Error(`Branch '${branchName}' not found`);
-    }
+    const headHash = await this.resolve(branchName);
     
     return this.getDataAtCommit(headHash);
   }
 
+  /**
+   * Get a lazy view of the tree at a specific commit
+   * @param {string} commitHash - Commit hash
+   * @returns {Promise<LazyTree>} Tree view that loads nodes on demand
+   */
+  async getTreeAtCommit(commitHash) {
+    const commit = await this.storage.getCommit(commitHash);
+    if (!commit) {
+      throw new Error(`Commit '${commitHash}' not found`);
+    }
+    
+    return new LazyTree(this.storage, commit.rootHash);
+  }
+
+  /**
+   * Get the value at a path at a specific commit, loading only the nodes along that path
+   * @param {string} commitHash - Commit hash
+   * @param {string|Array<string>} path - Path to read
+   * @returns {Promise<*>} Value at the path or undefined if absent
+   */
+  async getValueAtCommit(commitHash, path) {
+    const tree = await this.getTreeAtCommit(commitHash);
+    return tree.get(path);
+  }
+
+  /**
+   * Diff the data of two commits by comparing their stored trees, loading only
+   * the subtrees that differ
+   * @param {string} oldHash - Hash of the older commit
+   * @param {string} newHash - Hash of the newer commit
+   * @param {Object} [options] - Diff options
+   * @param {Array<string>|string} [options.paths] - Only compare these paths
+   * @returns {Promise<Object>} Diff object with added, modified, deleted and
+   *   arrays entries, as in Diff.generate, and a `summary` of the counts
+   */
+  async diffCommits(oldHash, newHash, options = {}) {
+    const [oldCommit, newCommit] = await Promise.all([
+      this.storage.getCommit(oldHash),
+      this.storage.getCommit(newHash)
+    ]);
+    for (const [hash, commit] of [[oldHash, oldCommit], [newHash, newCommit]]) {
+      if (!commit) {
+        throw new Error(`Commit '${hash}' not found`);
+      }
+    }
+    
+    // A path inside another compared path is already covered by it
+    let paths = typeof options.paths === 'string' ? [options.paths] : options.paths;
+    paths = paths && paths.length > 0 ? paths.map(path => Path.stringify(Path.parse(path))) : [Path.ROOT];
+    paths = [...new Set(paths)].filter(path => !paths.some(other =>
+      Path.relation(other, path) === 'ancestor'));
+    
+    const diff = {
+      added: [],
+      modified: [],
+      deleted: [],
+      arrays: []
+    };
+    
+    for (const path of paths) {
+      const [oldNode, newNode] = await Promise.all([
+        MerkleTree.getHashAtPath(this.storage, oldCommit.rootHash, path),
+        MerkleTree.getHashAtPath(this.storage, newCommit.rootHash, path)
+      ]);
+      const changes = await MerkleTree.diffStored(this.storage, oldNode, newNode,
+        path === Path.ROOT ? '' : path);
+      
+      for (const item of changes.added) {
+        diff.added.push({ path: item.path, value: await this._loadValue(item.hash) });
+      }
+      for (const item of changes.modified) {
+        diff.modified.push({ path: item.path, value: await this._loadValue(item.hash) });
+      }
+      diff.deleted.push(...changes.deleted);
+    }
+    
+    diff.summary = {
+      added: diff.added.length,
+      modified: diff.modified.length,
+      deleted: diff.deleted.length
+    };
+    
+    return diff;
+  }
+
+  /**
+   * Load the value of a stored node
+   * @private
+   * @param {string} hash - Node hash
+   * @returns {Promise<*>} Plain value of the subtree
+   */
+  async _loadValue(hash) {
+    return MerkleTree.toObject(await MerkleTree.retrieveTree(this.storage, hash));
+  }
+
   /**
    * Get data at a specific point in time
    * @param {string} branchName - Branch name
@@ -195,37 +629,184 @@ class Branch {
    * @returns {Promise<Object>} Data at that time
    */
   async getDataAtTime(branchName, timestamp) {
+    const commit = await this.findCommitAtTime(branchName, timestamp);
+    return this.getDataAtCommit(commit.hash);
+  }
+
+  /**
+   * Find the commit a branch pointed to at a specific point in time
+   * @param {string} branchName - Branch name, or a revision to go back from
+   * @param {Date|string|number} timestamp - Point in time
+   * @returns {Promise<Object>} Most recent commit on the branch at that time
+   */
+  async findCommitAtTime(branchName, timestamp) {
     // Convert timestamp to Date object if needed
     const time = typeof timestamp === 'string'
       ? new Date(timestamp)
       : (timestamp instanceof Date ? timestamp : new Date(timestamp));
     
-    // Get all commits for the branch
-    const commits = await this.storage.getCommitsForBranch(branchName);
-    
-    // Find the most recent commit before or at the specified time
-    let targetCommit = null;
-    for (const commit of commits) {
-      if (commit.timestamp <= time.getTime()) {
-        targetCommit = commit;
-        break; // commits are ordered most recent first
-      }
-    }
+    const headHash = await this.resolve(branchName);
     
+    const targetCommit = await this._firstParentAtTime(headHash, time.getTime());
     if (!targetCommit) {
       throw new Error(`No commit found on branch '${branchName}' before ${time.toISOString()}`);
     }
     
-    return this.getDataAtCommit(targetCommit.hash);
+    return targetCommit;
   }
 
   /**
-   * Get commit history for a branch
-   * @param {string} branchName - Branch name
+   * Follow a line of history back to a point in time
+   * @private
+   * @param {string} headHash - Commit to start from
+   * @param {number} time - Timestamp in milliseconds
+   * @returns {Promise<Object|null>} Most recent first-parent ancestor made at or
+   *   before that time, or null if there is none
+   */
+  async _firstParentAtTime(headHash, time) {
+    for await (const commit of this.walkCommits([headHash], { firstParent: true })) {
+      if (commit.timestamp <= time) {
+        return commit;
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Get commit history for a branch by walking the parent chain from its head,
+   * most recent first. Includes commits from before the branch was created and
+   * commits merged in from other branches.
+   * @param {string} branchName - Branch name, or a revision to list the history of
+   * @param {Object} [options] - History options
+   * @param {number} [options.limit] - Maximum number of commits to return
+   * @param {number} [options.offset=0] - Number of matching commits to skip
+   * @param {string} [options.cursor] - Hash of the last commit of a previous page;
+   *   the page starts right after it
+   * @param {string} [options.stopAt] - Revision whose ancestry is excluded,
+   *   including the commit itself
+   * @param {boolean} [options.firstParent=false] - Only follow the first parent of merges
+   * @param {Array<string>|string} [options.paths] - Only include commits that changed
+   *   one of these paths compared to their first parent
    * @returns {Promise<Array<Object>>} Array of commit objects
    */
-  async getHistory(branchName) {
-    return this.storage.getCommitsForBranch(branchName);
+  async getHistory(branchName, options = {}) {
+    const headHash = await this.resolve(branchName);
+    
+    const paths = typeof options.paths === 'string' ? [options.paths] : options.paths;
+    const limit = options.limit === undefined ? Infinity : options.limit;
+    let toSkip = options.offset || 0;
+    let afterCursor = !options.cursor;
+    
+    const exclude = options.stopAt
+      ? await this.getAncestors(await this.resolve(options.stopAt))
+      : new Set();
+    
+    const history = [];
+    if (limit <= 0) return history;
+    
+    for await (const commit of this.walkCommits([headHash], { firstParent: options.firstParent, exclude })) {
+      if (!afterCursor) {
+        afterCursor = commit.hash === options.cursor;
+        continue;
+      }
+      
+      if (paths && paths.length > 0 && !(await this._touchesPaths(commit, paths))) {
+        continue;
+      }
+      
+      if (toSkip > 0) {
+        toSkip--;
+        continue;
+      }
+      
+      history.push(commit);
+      if (history.length >= limit) break;
+    }
+    
+    return history;
+  }
+
+  /**
+   * Walk the commit graph from a set of commits, yielding each reachable
+   * commit once, most recent first
+   * @param {Array<string>} startHashes - Commit hashes to start from
+   * @param {Object} [options] - Walk options
+   * @param {boolean} [options.firstParent=false] - Only follow first parents
+   * @param {Set<string>} [options.exclude] - Commit hashes not to yield or traverse
+   * @returns {AsyncGenerator<Object>} Commits in reverse chronological order
+   */
+  async *walkCommits(startHashes, options = {}) {
+    const exclude = options.exclude || new Set();
+    const seen = new Set();
+    const queue = [];
+    
+    // Keep the queue ordered by timestamp, newest last, so pop() yields the newest;
+    // on equal timestamps commits queued earlier (children) come out first
+    const enqueue = async (hash) => {
+      if (!hash || seen.has(hash) || exclude.has(hash)) return;
+      seen.add(hash);
+      
+      const commit = await this.storage.getCommit(hash);
+      if (!commit) {
+        throw new Error(`Commit '${hash}' not found`);
+      }
+      
+      let index = queue.length;
+      while (index > 0 && queue[index - 1].timestamp >= commit.timestamp) {
+        index--;
+      }
+      queue.splice(index, 0, commit);
+    };
+    
+    for (const hash of startHashes) {
+      await enqueue(hash);
+    }
+    
+    while (queue.length > 0) {
+      const commit = queue.pop();
+      yield commit;
+      
+      const parents = commit.parents || [];
+      for (const parent of options.firstParent ? parents.slice(0, 1) : parents) {
+        await enqueue(parent);
+      }
+    }
+  }
+
+  /**
+   * Collect a commit and all of its ancestors
+   * @param {string} commitHash - Commit hash
+   * @returns {Promise<Set<string>>} Set of commit hashes
+   */
+  async getAncestors(commitHash) {
+    const ancestors = new Set();
+    for await (const commit of this.walkCommits([commitHash])) {
+      ancestors.add(commit.hash);
+    }
+    return ancestors;
+  }
+
+  /**
+   * Check whether a commit changed any of the given paths compared to its first parent
+   * @private
+   * @param {Object} commit - Commit object
+   * @param {Array<string>} paths - Paths to check
+   * @returns {Promise<boolean>} True if one of the paths changed
+   */
+  async _touchesPaths(commit, paths) {
+    const parent = commit.parent ? await this.storage.getCommit(commit.parent) : null;
+    
+    for (const path of paths) {
+      const hash = await MerkleTree.getHashAtPath(this.storage, commit.rootHash, path);
+      const parentHash = parent
+        ? await MerkleTree.getHashAtPath(this.storage, parent.rootHash, path)
+        : null;
+      
+      if (hash !== parentHash) return true;
+    }
+    
+    return false;
   }
 
   /**
@@ -240,8 +821,8 @@ class Branch {
     }
     
     // Check if we're on this branch
-    const currentBranch = await this.getCurrentBranch();
-    if (currentBranch === branchName) {
+    const head = await this.getHead();
+    if (head.branch === branchName) {
       throw new Error(`Cannot delete the currently checked out branch '${branchName}'`);
     }
     
@@ -252,7 +833,375 @@ class Branch {
     }
     
     // Delete the branch reference
-    await this.storage.deleteRef(`branch/${branchName}`);
+    await this.storage.deleteRef(`branch/${branchName}`, {
+      operation: 'delete',
+      message: `Deleted branch ${branchName}`,
+      author: this.author
+    });
+  }
+
+  /**
+   * Resolve a revision expression to a commit hash
+   * @param {string} rev - Revision such as `main~3`, `feature^2`,
+   *   `main@{2024-01-01}`, a tag, a short hash or `HEAD`, see revision.js
+   * @returns {Promise<string>} Commit hash
+   * @throws {Error} If the revision does not name a commit
+   */
+  async resolve(rev) {
+    // Plain hashes and names are by far the most common, skip parsing for them
+    if (typeof rev === 'string' && !/[~^@]/.test(rev)) {
+      return this.resolveCommitish(rev);
+    }
+    
+    const { base, at, steps } = Revision.parse(rev);
+    let hash;
+    
+    // A reflog position also works for deleted branches, so the name is not resolved first
+    if (at !== undefined && Revision.isReflogIndex(at)) {
+      hash = await this._reflogValue(base, parseInt(at, 10), rev);
+    } else {
+      hash = await this.resolveCommitish(base);
+    }
+    
+    if (at !== undefined && !Revision.isReflogIndex(at)) {
+      const time = Revision.parseDate(at);
+      const commit = await this._firstParentAtTime(hash, time);
+      if (!commit) {
+        throw new Error(`Revision '${rev}' is before the first commit of '${base}'`);
+      }
+      hash = commit.hash;
+    }
+    
+    for (const { op, count } of steps) {
+      if (op === '^' && count === 0) continue;
+      
+      // `~n` follows n first parents, `^n` picks the n-th parent once
+      const hops = op === '~' ? count : 1;
+      const index = op === '~' ? 0 : count - 1;
+      
+      for (let i = 0; i < hops; i++) {
+        const commit = await this.storage.getCommit(hash);
+        const parent = commit.parents[i === hops - 1 ? index : 0];
+        if (!parent) {
+          throw new Error(`Revision '${rev}' does not exist, '${base}' has no such ancestor`);
+        }
+        hash = parent;
+      }
+    }
+    
+    return hash;
+  }
+
+  /**
+   * Resolve a name to a commit hash: a full commit hash, `HEAD`, a tag, a
+   * branch or a unique abbreviated commit hash, in that order
+   * @param {string} commitish - Commit hash, `HEAD`, tag name, branch name or short hash
+   * @returns {Promise<string>} Commit hash
+   * @throws {Error} If nothing by that name exists or a short hash is ambiguous
+   */
+  async resolveCommitish(commitish) {
+    if (!commitish) {
+      throw new Error('A commit hash, tag or branch name is required');
+    }
+    
+    if (await this.storage.getCommit(commitish)) {
+      return commitish;
+    }
+    
+    if (commitish === 'HEAD') {
+      const headRef = await this.storage.getRef('HEAD');
+      const head = headRef && headRef.startsWith('branch/')
+        ? await this.storage.getRef(headRef)
+        : headRef;
+      if (!head) {
+        throw new Error('HEAD does not point to a commit');
+      }
+      return head;
+    }
+    
+    const tagged = await this.storage.getRef(`tag/${commitish}`);
+    if (tagged) {
+      return this.peelTag(tagged);
+    }
+    
+    const head = await this.getBranchHead(commitish);
+    if (head) {
+      return head;
+    }
+    
+    if (Revision.isShortHash(commitish)) {
+      const matches = (await this.storage.listCommits())
+        .filter(commit => commit.hash.startsWith(commitish));
+      
+      if (matches.length > 1) {
+        throw new Error(`Short hash '${commitish}' is ambiguous, it matches ${matches.length} commits`);
+      }
+      if (matches.length === 1) {
+        return matches[0].hash;
+      }
+    }
+    
+    throw new Error(`Unknown commit, tag or branch '${commitish}'`);
+  }
+
+  /**
+   * Read the reflog of a ref
+   * @param {string} [ref='HEAD'] - `HEAD`, a branch name or a full ref name like `tag/v1`
+   * @returns {Promise<Array<Object>>} Entries newest first, each with its `index`
+   *   (0 for the latest), `ref`, `old` and `new` values, `operation`, `message`,
+   *   `author` and `timestamp`
+   */
+  async reflog(ref = 'HEAD') {
+    const entries = await this.storage.getReflog(Branch.refName(ref));
+    return entries.reverse().map((entry, index) => ({ index, ...entry }));
+  }
+
+  /**
+   * Undo a ref movement by moving the ref back to the value it had before a
+   * reflog entry, e.g. to revert a bad merge or recover a deleted branch
+   * @param {string} ref - `HEAD`, a branch name or a full ref name
+   * @param {Object|number} entry - Reflog entry, or its index (0 to undo the latest change)
+   * @returns {Promise<string>} Restored ref value
+   * @throws {RefConflictError} If the ref moved while it was being restored
+   */
+  async restoreRef(ref, entry) {
+    const name = Branch.refName(ref);
+    
+    if (typeof entry === 'number') {
+      const entries = await this.reflog(ref);
+      if (!entries[entry]) {
+        throw new Error(`Reflog of '${name}' has no entry ${entry}`);
+      }
+      entry = entries[entry];
+    }
+    
+    if (!entry || entry.ref !== name) {
+      throw new Error(`Reflog entry does not belong to '${name}'`);
+    }
+    
+    if (!entry.old) {
+      throw new Error(`'${name}' did not exist before this entry, delete it instead`);
+    }
+    
+    // Squashed history is collected despite the reflog, see GarbageCollector#findRoots
+    if (!entry.old.startsWith('branch/') && !(await this.storage.getCommit(entry.old))
+        && !(await this.storage.get(entry.old))) {
+      throw new Error(`'${entry.old}' no longer exists, it was removed by gc()`);
+    }
+    
+    await this.storage.writeBatch({
+      refs: [{
+        name,
+        value: entry.old,
+        expected: await this.storage.getRef(name),
+        log: {
+          operation: 'restore',
+          message: `Restored to before ${entry.operation} of ${new Date(entry.timestamp).toISOString()}`,
+          author: this.author
+        }
+      }]
+    });
+    
+    return entry.old;
+  }
+
+  /**
+   * Find the commit a ref pointed to a number of moves ago, for `name@{n}`.
+   * When HEAD was on a branch then, the branch is read as it was at that move.
+   * @private
+   * @param {string} base - `HEAD`, branch or tag name
+   * @param {number} count - Number of moves to go back, 0 for the current value
+   * @param {string} rev - Full revision, for error messages
+   * @returns {Promise<string>} Commit hash
+   */
+  async _reflogValue(base, count, rev) {
+    let ref = base;
+    if (base !== 'HEAD') {
+      ref = await this.storage.getRef(`tag/${base}`) ? `tag/${base}` : `branch/${base}`;
+    }
+    
+    let value = await this.storage.getRef(ref);
+    if (value && value.startsWith('branch/')) {
+      value = await this.storage.getRef(value);
+    }
+    
+    if (count > 0) {
+      // The log of every ref, in the order the moves were made
+      const entries = await this.storage.getReflog();
+      const positions = [];
+      entries.forEach((entry, position) => {
+        if (entry.ref === ref) positions.push(position);
+      });
+      
+      if (positions.length < count) {
+        throw new Error(`Revision '${rev}' does not exist, the reflog of '${ref}' has ${positions.length} entries`);
+      }
+      
+      const position = positions[positions.length - count];
+      value = entries[position].old;
+      if (value && value.startsWith('branch/')) {
+        value = await this._refValueAt(value, entries, position);
+      }
+    }
+    
+    if (!value) {
+      throw new Error(`Revision '${rev}' does not point to a commit`);
+    }
+    
+    return ref.startsWith('tag/') ? this.peelTag(value) : value;
+  }
+
+  /**
+   * Find the value a ref had when a reflog entry was written: the value its
+   * last earlier move left, else the value its next move started from
+   * @private
+   * @param {string} name - Full ref name
+   * @param {Array<Object>} entries - Reflog entries of every ref, oldest first
+   * @param {number} position - Index of the entry in `entries`
+   * @returns {Promise<string|null>} Ref value then
+   */
+  async _refValueAt(name, entries, position) {
+    for (let i = position - 1; i >= 0; i--) {
+      if (entries[i].ref === name) return entries[i].new;
+    }
+    for (let i = position + 1; i < entries.length; i++) {
+      if (entries[i].ref === name) return entries[i].old;
+    }
+    
+    // The ref has not moved since
+    return this.storage.getRef(name);
+  }
+
+  /**
+   * Expand a short ref name: `HEAD` and names with a `branch/` or `tag/`
+   * prefix are kept, anything else is taken as a branch name
+   * @param {string} ref - Ref or branch name
+   * @returns {string} Full ref name
+   */
+  static refName(ref) {
+    if (ref === 'HEAD' || ref.startsWith('branch/') || ref.startsWith('tag/')) {
+      return ref;
+    }
+    return `branch/${ref}`;
+  }
+
+  /**
+   * Get the commit a tag ref value points at
+   * @param {string} hash - Commit hash or annotated tag object hash
+   * @returns {Promise<string>} Commit hash
+   */
+  async peelTag(hash) {
+    const object = await this.storage.get(hash);
+    return Tag.isTag(object) ? object.commit : hash;
+  }
+
+  /**
+   * Create a tag
+   * @param {string} tagName - Tag name
+   * @param {string} commitish - Revision to tag
+   * @param {Object} [options] - Tag options
+   * @param {string} [options.message] - Tag message, makes the tag annotated
+   * @param {boolean} [options.annotated] - Store a tag object with message, tagger
+   *   and time (defaults to true when a message is given)
+   * @param {string} [options.tagger] - Who created the tag (defaults to the manager's author)
+   * @returns {Promise<Object>} Tag description, see getTag
+   */
+  async createTag(tagName, commitish, options = {}) {
+    if (!tagName) {
+      throw new Error('Tag name is required');
+    }
+    
+    const exists = await this.storage.getRef(`tag/${tagName}`);
+    if (exists) {
+      throw new Error(`Tag '${tagName}' already exists`);
+    }
+    
+    const commitHash = await this.resolve(commitish);
+    const annotated = options.annotated !== undefined ? options.annotated : Boolean(options.message);
+    
+    const batch = { objects: [], refs: [] };
+    let value = commitHash;
+    
+    if (annotated) {
+      const tag = Tag.create({
+        name: tagName,
+        commit: commitHash,
+        message: options.message || '',
+        tagger: options.tagger || this.author
+      });
+      
+      const { hash, ...data } = tag;
+      batch.objects.push({ hash, data });
+      value = hash;
+    }
+    
+    batch.refs.push({
+      name: `tag/${tagName}`,
+      value,
+      expected: null,
+      log: { operation: 'tag', message: options.message || `Tagged ${commitish}`, author: this.author }
+    });
+    await this.storage.writeBatch(batch);
+    
+    return this.getTag(tagName);
+  }
+
+  /**
+   * Describe a tag
+   * @param {string} tagName - Tag name
+   * @returns {Promise<Object|null>} Tag with name, commit and annotated flag, plus
+   *   message, tagger and timestamp for annotated tags; null if it does not exist
+   */
+  async getTag(tagName) {
+    const value = await this.storage.getRef(`tag/${tagName}`);
+    if (!value) return null;
+    
+    const object = await this.storage.get(value);
+    if (!Tag.isTag(object)) {
+      return { name: tagName, commit: value, annotated: false };
+    }
+    
+    return {
+      name: tagName,
+      commit: object.commit,
+      annotated: true,
+      message: object.message,
+      tagger: object.tagger,
+      timestamp: object.timestamp
+    };
+  }
+
+  /**
+   * List all tags
+   * @returns {Promise<Array<Object>>} Tags, see getTag
+   */
+  async listTags() {
+    const refs = await this.storage.listRefs('tag/');
+    const tags = [];
+    
+    for (const ref of Object.keys(refs).sort()) {
+      tags.push(await this.getTag(ref.substring(4))); // Remove 'tag/' prefix
+    }
+    
+    return tags;
+  }
+
+  /**
+   * Delete a tag. An annotated tag's object is left for gc() to remove.
+   * @param {string} tagName - Tag name
+   * @returns {Promise<void>}
+   */
+  async deleteTag(tagName) {
+    const exists = await this.storage.getRef(`tag/${tagName}`);
+    if (!exists) {
+      throw new Error(`Tag '${tagName}' not found`);
+    }
+    
+    await this.storage.deleteRef(`tag/${tagName}`, {
+      operation: 'delete',
+      message: `Deleted tag ${tagName}`,
+      author: this.author
+    });
   }
 }
 
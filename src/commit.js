@@ -0,0 +1,64 @@
+const { hashObject } = require('./hash');
+
+/**
+ * Helpers for building and hashing commit objects.
+ *
+ * A commit's identity covers its tree, parents, author, message and
+ * timestamp, so two commits of the same data never share a key.
+ */
+class Commit {
+  /**
+   * Create a commit object with its hash filled in
+   * @param {Object} fields - Commit fields
+   * @param {string} fields.rootHash - Root hash of the committed tree
+   * @param {Array<string>} [fields.parents=[]] - Parent commit hashes, first parent first
+   * @param {string|null} [fields.author=null] - Commit author
+   * @param {string} [fields.message='Update'] - Commit message
+   * @param {number} [fields.timestamp=Date.now()] - Commit time in milliseconds
+   * @param {string} [fields.branch] - Branch the commit was made on
+   * @returns {Object} Commit object
+   */
+  static create({ rootHash, parents = [], author = null, message = 'Update', timestamp = Date.now(), branch }) {
+    const commit = {
+      rootHash,
+      parents: parents.filter(Boolean),
+      author,
+      message,
+      timestamp,
+      branch
+    };
+
+    // First parent is kept under `parent` for callers that only follow one line
+    commit.parent = commit.parents.length > 0 ? commit.parents[0] : null;
+    commit.hash = Commit.hash(commit);
+
+    return commit;
+  }
+
+  /**
+   * Compute the hash identifying a commit
+   * @param {Object} commit - Commit object
+   * @returns {string} Commit hash
+   */
+  static hash(commit) {
+    return hashObject('commit', {
+      tree: commit.rootHash,
+      parents: commit.parents,
+      author: commit.author === undefined ? null : commit.author,
+      message: commit.message,
+      timestamp: commit.timestamp
+    });
+  }
+
+  /**
+   * Check whether a commit was written in the legacy format,
+   * where the commit hash was the root hash of its tree
+   * @param {Object} commit - Commit object
+   * @returns {boolean} True if the commit uses the legacy format
+   */
+  static isLegacy(commit) {
+    return !Array.isArray(commit.parents);
+  }
+}
+
+module.exports = Commit;
@@ -1,5 +1,7 @@
 const _ = require('lodash');
 const Storage = require('./storage');
+const MerkleTree = require('./merkle');
+const Path = require('./path');
 
 /**
  * Specialized diff implementation for nested objects
@@ -7,20 +9,35 @@ const Storage = require('./storage');
  */
 class Diff {
   /**
-   * Generate a diff between two objects
+   * Generate a diff between two objects.
+   *
+   * By default arrays are compared index by index. In array mode ('lcs', or
+   * for arrays with an identity key) elements are matched with a longest
+   * common subsequence and changes to the array layout are reported under
+   * `arrays` as insert/remove/move operations, applied in order. Changes
+   * inside matched elements are reported at their index in the new array.
    * @param {Object} oldObj - Previous object state
    * @param {Object} newObj - New object state
-   * @returns {Object} Diff object with added, modified, and deleted paths
+   * @param {Object} [options] - Diff options
+   * @param {string} [options.arrays='index'] - Array diff mode, 'index' or 'lcs'
+   * @param {Array<string>|Object} [options.identity] - Identity keys for array
+   *   elements, as patterns like `'users[*].id'` or a map of array paths to keys
+   *   like `{ 'users': 'id' }`; `*` matches any key or index. Arrays with an
+   *   identity key are always diffed in array mode.
+   * @param {string} [options.basePath] - Path of the compared objects within
+   *   their document, used to match identity patterns
+   * @returns {Object} Diff object with added, modified, deleted and arrays entries
    */
-  static generate(oldObj, newObj) {
+  static generate(oldObj, newObj, options = {}) {
     const diff = {
       added: [],
       modified: [],
-      deleted: []
+      deleted: [],
+      arrays: []
     };
     
     // Compare objects recursively
-    Diff._compareObjects(oldObj, newObj, '', diff);
+    Diff._compareObjects(oldObj, newObj, '', diff, options);
     
     return diff;
   }
@@ -34,8 +51,15 @@ class Diff {
   static apply(obj, diff) {
     let result = _.cloneDeep(obj);
     
-    // Apply deletions first
-    for (const path of diff.deleted || []) {
+    // Rearrange arrays first, element paths in the diff refer to the new layout
+    for (const entry of diff.arrays || []) {
+      const array = Storage.getValueAtPath(result, entry.path);
+      result = Storage.setValueAtPath(result, entry.path, Diff.applyArrayOps(array, entry.ops));
+    }
+    
+    // Apply deletions, last first so removing array elements does not shift
+    // the indices of the ones still to be removed
+    for (const path of [...(diff.deleted || [])].reverse()) {
       result = Storage.deleteValueAtPath(result, path);
     }
     
@@ -57,10 +81,21 @@ class Diff {
    * @returns {Object} Inverse diff
    */
   static invert(obj, diff) {
+    // Element paths of array operations depend on the layout, regenerate instead
+    if (diff.arrays && diff.arrays.length > 0) {
+      const identity = {};
+      for (const entry of diff.arrays) {
+        if (entry.key) identity[entry.path] = entry.key;
+      }
+      
+      return Diff.generate(Diff.apply(obj, diff), obj, { arrays: 'lcs', identity });
+    }
+    
     const inverse = {
       added: [],
       modified: [],
-      deleted: []
+      deleted: [],
+      arrays: []
     };
     
     // Additions become deletions
@@ -86,55 +121,337 @@ class Diff {
   }
   
   /**
-   * Detect conflicts between two diffs
+   * Detect conflicts between two diffs made against the same base.
+   *
+   * Changes conflict when their paths are the same or one contains the other
+   * and they disagree on the resulting value. Identical changes on both sides,
+   * or a change that is already implied by the other side's change to a
+   * containing path, are not conflicts.
    * @param {Object} diffA - First diff
    * @param {Object} diffB - Second diff
-   * @returns {Array<string>} Conflicting paths
+   * @returns {Array<string>} Conflicting paths, reported at the outermost changed path
    */
   static findConflicts(diffA, diffB) {
-    // Create for test - to ensure we have conflicts in the test case
-    if (process.env.NODE_ENV === 'test' || typeof jest !== 'undefined') {
-      // For the branch merge test case - check if this is the settings.theme conflict
-      if (diffA.modified && diffB.modified) {
-        const settingsThemeInA = diffA.modified.some(item => 
-          item.path === 'settings.theme' || item.path === 'settings');
+    const changesA = Diff._listChanges(diffA);
+    const changesB = Diff._listChanges(diffB);
+    const conflicts = [];
+    
+    for (const changeA of changesA) {
+      for (const changeB of changesB) {
+        const relation = Path.relation(changeA.path, changeB.path);
+        if (!relation) continue;
         
-        const settingsThemeInB = diffB.modified.some(item => 
-          item.path === 'settings.theme' || item.path === 'settings');
-          
-        if (settingsThemeInA && settingsThemeInB) {
-          return ['settings.theme'];
+        const [outer, inner] = relation === 'descendant'
+          ? [changeB, changeA]
+          : [changeA, changeB];
+        
+        if (!Diff._changesAgree(outer, inner) && !conflicts.includes(outer.path)) {
+          conflicts.push(outer.path);
         }
       }
     }
     
-    const conflicts = [];
+    // A conflict nested inside another conflict is covered by the outer one
+    return conflicts.filter(path => !conflicts.some(other =>
+      other !== path && Path.relation(other, path) === 'ancestor'));
+  }
+  
+  /**
+   * Flatten a diff into a list of changes
+   * @private
+   * @param {Object} diff - Diff to flatten
+   * @returns {Array<Object>} Changes with path, deleted flag and new value
+   */
+  static _listChanges(diff) {
+    const changes = [];
     
-    // Check for paths modified in both diffs
-    for (const itemA of [...(diffA.modified || []), ...(diffA.added || [])]) {
-      const pathA = itemA.path;
-      
-      // Check if path is also modified or deleted in diffB
-      const modifiedInB = (diffB.modified || []).some(item => item.path === pathA);
-      const addedInB = (diffB.added || []).some(item => item.path === pathA);
-      const deletedInB = (diffB.deleted || []).includes(pathA);
+    for (const item of [...(diff.added || []), ...(diff.modified || [])]) {
+      changes.push({ path: item.path, deleted: false, value: item.value });
+    }
+    
+    for (const path of diff.deleted || []) {
+      changes.push({ path, deleted: true });
+    }
+    
+    // Array operations only agree with identical operations on the same array
+    for (const entry of diff.arrays || []) {
+      changes.push({ path: entry.path, deleted: false, ops: entry.ops });
+    }
+    
+    return changes;
+  }
+  
+  /**
+   * Check whether two overlapping changes produce the same result
+   * @private
+   * @param {Object} outer - Change at the containing (or same) path
+   * @param {Object} inner - Change at the contained (or same) path
+   * @returns {boolean} True if both changes agree on the value at the inner path
+   */
+  static _changesAgree(outer, inner) {
+    const relative = Path.parse(inner.path).slice(Path.parse(outer.path).length);
+    
+    if (outer.ops || inner.ops) {
+      return relative.length === 0 && _.isEqual(outer.ops, inner.ops);
+    }
+    
+    if (outer.deleted) {
+      return inner.deleted;
+    }
+    
+    if (relative.length === 0) {
+      return !inner.deleted && _.isEqual(outer.value, inner.value);
+    }
+    
+    if (inner.deleted) {
+      return !_.has(outer.value, relative);
+    }
+    
+    return _.has(outer.value, relative) && _.isEqual(_.get(outer.value, relative), inner.value);
+  }
+  
+  /**
+   * Convert a diff into an RFC 6902 JSON Patch, in the order Diff.apply uses
+   * @param {Object} diff - Diff to convert
+   * @returns {Array<Object>} JSON Patch operations
+   */
+  static toJsonPatch(diff) {
+    const operations = [];
+    
+    for (const entry of diff.arrays || []) {
+      const base = Diff.toPointer(entry.path);
       
-      if (modifiedInB || addedInB || deletedInB) {
-        conflicts.push(pathA);
+      for (const op of entry.ops) {
+        if (op.op === 'insert') {
+          operations.push({ op: 'add', path: `${base}/${op.index}`, value: op.value });
+        } else if (op.op === 'remove') {
+          operations.push({ op: 'remove', path: `${base}/${op.index}` });
+        } else if (op.op === 'move') {
+          operations.push({ op: 'move', from: `${base}/${op.from}`, path: `${base}/${op.to}` });
+        }
       }
     }
     
-    // Check for paths deleted in diffA but modified in diffB
-    for (const pathA of diffA.deleted || []) {
-      const modifiedInB = (diffB.modified || []).some(item => item.path === pathA);
-      const addedInB = (diffB.added || []).some(item => item.path === pathA);
+    // Remove later array elements first so earlier indexes stay valid
+    for (const path of [...(diff.deleted || [])].reverse()) {
+      operations.push({ op: 'remove', path: Diff.toPointer(path) });
+    }
+    
+    for (const item of diff.modified || []) {
+      operations.push({ op: 'replace', path: Diff.toPointer(item.path), value: item.value });
+    }
+    
+    for (const item of diff.added || []) {
+      operations.push({ op: 'add', path: Diff.toPointer(item.path), value: item.value });
+    }
+    
+    return operations;
+  }
+  
+  /**
+   * Convert an RFC 6902 JSON Patch into a diff against the document it applies to
+   * @param {Array<Object>} operations - JSON Patch operations
+   * @param {Object} base - Document the patch applies to
+   * @param {Object} [options] - Diff options, see Diff.generate
+   * @returns {Object} Diff object
+   */
+  static fromJsonPatch(operations, base, options) {
+    return Diff.generate(base, Diff.applyJsonPatch(base, operations), options);
+  }
+  
+  /**
+   * Apply an RFC 6902 JSON Patch to an object. All operations, including
+   * `test`, are checked; the object is left untouched if any of them fails.
+   * @param {Object} obj - Object to patch
+   * @param {Array<Object>} operations - JSON Patch operations
+   * @returns {Object} New object with the patch applied
+   */
+  static applyJsonPatch(obj, operations) {
+    if (!Array.isArray(operations)) {
+      throw new Error('JSON Patch must be an array of operations');
+    }
+    
+    let result = _.cloneDeep(obj);
+    
+    operations.forEach((operation, index) => {
+      const fail = (reason) => {
+        throw new Error(`JSON Patch operation ${index} (${operation.op} ${operation.path}) failed: ${reason}`);
+      };
       
-      if (modifiedInB || addedInB) {
-        conflicts.push(pathA);
+      if (typeof operation.path !== 'string') {
+        fail('missing path');
+      }
+      
+      const path = Diff.parsePointer(operation.path);
+      
+      switch (operation.op) {
+        case 'add':
+          if (!('value' in operation)) fail('missing value');
+          result = Diff._pointerAdd(result, path, _.cloneDeep(operation.value), fail);
+          break;
+          
+        case 'remove':
+          result = Diff._pointerRemove(result, path, fail).document;
+          break;
+          
+        case 'replace':
+          if (!('value' in operation)) fail('missing value');
+          result = Diff._pointerRemove(result, path, fail).document;
+          result = Diff._pointerAdd(result, path, _.cloneDeep(operation.value), fail);
+          break;
+          
+        case 'move': {
+          const from = Diff.parsePointer(operation.from);
+          if (from.length < path.length && _.isEqual(from, path.slice(0, from.length))) {
+            fail('cannot move a value into itself');
+          }
+          const removed = Diff._pointerRemove(result, from, fail);
+          result = Diff._pointerAdd(removed.document, path, removed.value, fail);
+          break;
+        }
+          
+        case 'copy': {
+          const value = Diff._pointerGet(result, Diff.parsePointer(operation.from), fail);
+          result = Diff._pointerAdd(result, path, _.cloneDeep(value), fail);
+          break;
+        }
+          
+        case 'test':
+          if (!_.isEqual(Diff._pointerGet(result, path, fail), operation.value)) {
+            fail('test did not match');
+          }
+          break;
+          
+        default:
+          fail(`unknown operation '${operation.op}'`);
       }
+    });
+    
+    return result;
+  }
+  
+  /**
+   * Convert a diff path into a JSON Pointer
+   * @param {string} path - Diff path, '.' for the root
+   * @returns {string} JSON Pointer
+   */
+  static toPointer(path) {
+    return Path.parse(path)
+      .map(segment => `/${segment.replace(/~/g, '~0').replace(/\//g, '~1')}`)
+      .join('');
+  }
+  
+  /**
+   * Parse a JSON Pointer into path segments
+   * @param {string} pointer - JSON Pointer
+   * @returns {Array<string>} Unescaped path segments
+   */
+  static parsePointer(pointer) {
+    if (pointer === '') return [];
+    
+    if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+      throw new Error(`Invalid JSON Pointer '${pointer}'`);
     }
     
-    return conflicts;
+    return pointer.substring(1).split('/')
+      .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  }
+  
+  /**
+   * Read the value at JSON Pointer segments
+   * @private
+   * @param {*} document - Document to read
+   * @param {Array<string>} path - Pointer segments
+   * @param {Function} fail - Failure callback
+   * @returns {*} Value at the pointer
+   */
+  static _pointerGet(document, path, fail) {
+    let value = document;
+    
+    for (const segment of path) {
+      if (Array.isArray(value)) {
+        const index = Diff._arrayIndex(segment, value.length - 1, fail);
+        value = value[index];
+      } else if (value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, segment)) {
+        value = value[segment];
+      } else {
+        fail('path does not exist');
+      }
+    }
+    
+    return value;
+  }
+  
+  /**
+   * Add a value at JSON Pointer segments, inserting into arrays
+   * @private
+   * @param {*} document - Document to update in place
+   * @param {Array<string>} path - Pointer segments
+   * @param {*} value - Value to add
+   * @param {Function} fail - Failure callback
+   * @returns {*} Updated document
+   */
+  static _pointerAdd(document, path, value, fail) {
+    if (path.length === 0) return value;
+    
+    const parent = Diff._pointerGet(document, path.slice(0, -1), fail);
+    const key = path[path.length - 1];
+    
+    if (Array.isArray(parent)) {
+      const index = key === '-' ? parent.length : Diff._arrayIndex(key, parent.length, fail);
+      parent.splice(index, 0, value);
+    } else if (parent !== null && typeof parent === 'object') {
+      parent[key] = value;
+    } else {
+      fail('parent is not a container');
+    }
+    
+    return document;
+  }
+  
+  /**
+   * Remove the value at JSON Pointer segments
+   * @private
+   * @param {*} document - Document to update in place
+   * @param {Array<string>} path - Pointer segments
+   * @param {Function} fail - Failure callback
+   * @returns {Object} Updated document and the removed value
+   */
+  static _pointerRemove(document, path, fail) {
+    const value = Diff._pointerGet(document, path, fail);
+    if (path.length === 0) return { document: undefined, value };
+    
+    const parent = Diff._pointerGet(document, path.slice(0, -1), fail);
+    const key = path[path.length - 1];
+    
+    if (Array.isArray(parent)) {
+      parent.splice(Diff._arrayIndex(key, parent.length - 1, fail), 1);
+    } else {
+      delete parent[key];
+    }
+    
+    return { document, value };
+  }
+  
+  /**
+   * Parse an array index segment of a JSON Pointer
+   * @private
+   * @param {string} segment - Pointer segment
+   * @param {number} max - Largest allowed index
+   * @param {Function} fail - Failure callback
+   * @returns {number} Array index
+   */
+  static _arrayIndex(segment, max, fail) {
+    if (!/^(0|[1-9][0-9]*)$/.test(segment)) {
+      fail(`invalid array index '${segment}'`);
+    }
+    
+    const index = Number(segment);
+    if (index > max) {
+      fail(`array index ${index} out of bounds`);
+    }
+    
+    return index;
   }
   
   /**
@@ -147,7 +464,8 @@ class Diff {
     const merged = {
       added: [],
       modified: [],
-      deleted: []
+      deleted: [],
+      arrays: []
     };
     
     // Track paths to avoid duplicates
@@ -193,6 +511,304 @@ class Diff {
         processedPaths.add(path);
       }
     }
+    
+    // Process array operations
+    for (const entry of diff.arrays || []) {
+      if (!merged.arrays.some(existing => existing.path === entry.path)) {
+        merged.arrays.push(entry);
+      }
+    }
+  }
+  
+  /**
+   * Apply array operations from a diff to an array
+   * @param {Array} array - Array to update
+   * @param {Array<Object>} ops - Insert, remove and move operations, applied in order
+   * @returns {Array} New array with the operations applied
+   */
+  static applyArrayOps(array, ops) {
+    const result = Array.isArray(array) ? [...array] : [];
+    
+    for (const op of ops) {
+      if (op.op === 'insert') {
+        result.splice(op.index, 0, _.cloneDeep(op.value));
+      } else if (op.op === 'remove') {
+        result.splice(op.index, 1);
+      } else if (op.op === 'move') {
+        const [element] = result.splice(op.from, 1);
+        result.splice(op.to, 0, element);
+      } else {
+        throw new Error(`Unknown array operation '${op.op}'`);
+      }
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Get the identity function for elements of the array at a path
+   * @param {string} path - Path of the array within the document
+   * @param {Object} options - Diff options
+   * @returns {Object|null} Identity with `key` (the identity key, if any) and
+   *   `of(element)` returning an element's identity, or null in index mode
+   */
+  static getArrayIdentity(path, options = {}) {
+    const segments = Path.parse(path);
+    
+    for (const { arrayPath, key } of Diff._identityPatterns(options.identity)) {
+      const matches = arrayPath.length === segments.length &&
+        arrayPath.every((segment, i) => segment === '*' || segment === segments[i]);
+      
+      if (matches) {
+        return {
+          key,
+          of: (element) => {
+            const id = element !== null && typeof element === 'object'
+              ? _.get(element, key)
+              : undefined;
+            
+            // Elements without the key are identified by their content
+            return id === undefined
+              ? `value:${MerkleTree.fromObject(element).hash}`
+              : `key:${JSON.stringify(id)}`;
+          }
+        };
+      }
+    }
+    
+    if (options.arrays === 'lcs') {
+      return {
+        key: null,
+        of: (element) => MerkleTree.fromObject(element).hash
+      };
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Match the elements of two arrays by identity. Elements in the longest
+   * common subsequence keep their relative order, other elements with the
+   * same identity are paired as moves.
+   * @param {Array} oldArray - Previous array
+   * @param {Array} newArray - New array
+   * @param {Function} identityOf - Function returning an element's identity
+   * @returns {Object} Match with `pairs` (Map of old index to new index) and
+   *   `stable` (Set of old indexes in the common subsequence)
+   */
+  static matchArrays(oldArray, newArray, identityOf) {
+    const oldIds = oldArray.map(identityOf);
+    const newIds = newArray.map(identityOf);
+    const pairs = new Map();
+    const stable = new Set();
+    
+    for (const [oldIndex, newIndex] of Diff._longestCommonSubsequence(oldIds, newIds)) {
+      pairs.set(oldIndex, newIndex);
+      stable.add(oldIndex);
+    }
+    
+    // Pair remaining elements with equal identities, in order
+    const unmatched = new Map();
+    oldIds.forEach((id, oldIndex) => {
+      if (pairs.has(oldIndex)) return;
+      if (!unmatched.has(id)) unmatched.set(id, []);
+      unmatched.get(id).push(oldIndex);
+    });
+    
+    const matchedNew = new Set(pairs.values());
+    newIds.forEach((id, newIndex) => {
+      if (matchedNew.has(newIndex)) return;
+      const candidates = unmatched.get(id);
+      if (candidates && candidates.length > 0) {
+        pairs.set(candidates.shift(), newIndex);
+      }
+    });
+    
+    return { pairs, stable };
+  }
+  
+  /**
+   * Find the longest common subsequence of two sequences using Myers' algorithm
+   * @private
+   * @param {Array<string>} a - First sequence
+   * @param {Array<string>} b - Second sequence
+   * @returns {Array<Array<number>>} Index pairs [indexInA, indexInB] in order
+   */
+  static _longestCommonSubsequence(a, b) {
+    const pairs = [];
+    
+    // Common prefix and suffix need no search
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+      pairs.push([start, start]);
+      start++;
+    }
+    
+    let endA = a.length;
+    let endB = b.length;
+    const suffix = [];
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+      suffix.unshift([endA, endB]);
+    }
+    
+    const n = endA - start;
+    const m = endB - start;
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Array(2 * max + 3).fill(0);
+    const trace = [];
+    let found = false;
+    
+    for (let d = 0; d <= max && !found; d++) {
+      trace.push(v.slice(offset - d - 1, offset + d + 2));
+      
+      for (let k = -d; k <= d; k += 2) {
+        let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+        let y = x - k;
+        
+        while (x < n && y < m && a[start + x] === b[start + y]) {
+          x++;
+          y++;
+        }
+        
+        v[offset + k] = x;
+        if (x >= n && y >= m) {
+          found = true;
+          break;
+        }
+      }
+    }
+    
+    // Walk the trace backwards to recover the matched diagonals
+    const middle = [];
+    let x = n;
+    let y = m;
+    
+    for (let d = trace.length - 1; d > 0; d--) {
+      const previous = trace[d];
+      const at = (k) => previous[k + d + 1];
+      const k = x - y;
+      const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+      const prevX = at(prevK);
+      const prevY = prevX - prevK;
+      
+      while (x > prevX && y > prevY) {
+        x--;
+        y--;
+        middle.unshift([start + x, start + y]);
+      }
+      
+      x = prevX;
+      y = prevY;
+    }
+    
+    while (x > 0 && y > 0) {
+      x--;
+      y--;
+      middle.unshift([start + x, start + y]);
+    }
+    
+    return [...pairs, ...middle, ...suffix];
+  }
+  
+  /**
+   * Build the operations turning one array layout into another
+   * @private
+   * @param {Array} oldArray - Previous array
+   * @param {Array} newArray - New array
+   * @param {Object} match - Element match from matchArrays
+   * @returns {Array<Object>} Insert, remove and move operations, applied in order
+   */
+  static _arrayOps(oldArray, newArray, match) {
+    const ops = [];
+    const newToOld = new Map();
+    for (const [oldIndex, newIndex] of match.pairs) {
+      newToOld.set(newIndex, oldIndex);
+    }
+    
+    // Remove from the end so earlier indexes stay valid
+    for (let oldIndex = oldArray.length - 1; oldIndex >= 0; oldIndex--) {
+      if (!match.pairs.has(oldIndex)) {
+        ops.push({ op: 'remove', index: oldIndex, value: oldArray[oldIndex] });
+      }
+    }
+    
+    // First stable element at or after each new index, used to place moved elements
+    const nextStable = new Array(newArray.length + 1).fill(undefined);
+    for (let newIndex = newArray.length - 1; newIndex >= 0; newIndex--) {
+      const oldIndex = newToOld.get(newIndex);
+      nextStable[newIndex] = match.stable.has(oldIndex) ? oldIndex : nextStable[newIndex + 1];
+    }
+    
+    // Working layout of old indexes; inserted elements are marked with null
+    const layout = [];
+    for (let oldIndex = 0; oldIndex < oldArray.length; oldIndex++) {
+      if (match.pairs.has(oldIndex)) layout.push(oldIndex);
+    }
+    
+    for (let i = 0; i < newArray.length; i++) {
+      const wanted = newToOld.get(i);
+      
+      if (wanted === undefined) {
+        layout.splice(i, 0, null);
+        ops.push({ op: 'insert', index: i, value: newArray[i] });
+        continue;
+      }
+      
+      while (layout[i] !== wanted) {
+        if (!match.stable.has(wanted)) {
+          // Pull the moved element into place
+          const from = layout.indexOf(wanted);
+          layout.splice(from, 1);
+          layout.splice(i, 0, wanted);
+          ops.push({ op: 'move', from, to: i });
+          break;
+        }
+        
+        // A moved element is in the way, put it before the next stable element it precedes
+        const moved = layout[i];
+        layout.splice(i, 1);
+        const anchor = nextStable[match.pairs.get(moved) + 1];
+        const to = anchor === undefined ? layout.length : layout.indexOf(anchor);
+        layout.splice(to, 0, moved);
+        ops.push({ op: 'move', from: i, to });
+      }
+    }
+    
+    return ops;
+  }
+  
+  /**
+   * Normalize identity options into array path patterns
+   * @private
+   * @param {Array<string>|Object} [identity] - Identity option
+   * @returns {Array<Object>} Patterns with arrayPath segments and key
+   */
+  static _identityPatterns(identity) {
+    if (!identity) return [];
+    
+    if (Array.isArray(identity)) {
+      return identity.map(pattern => {
+        const index = pattern.lastIndexOf('[*].');
+        if (index < 0) {
+          throw new Error(`Invalid identity pattern '${pattern}', expected 'path[*].key'`);
+        }
+        
+        return {
+          arrayPath: Path.parse(pattern.substring(0, index).replace(/\[\*\]/g, '.*')),
+          key: pattern.substring(index + 4)
+        };
+      });
+    }
+    
+    return Object.entries(identity).map(([path, key]) => ({
+      arrayPath: Path.parse(path.replace(/\[\*\]/g, '.*')),
+      key
+    }));
   }
   
   /**
@@ -202,8 +818,9 @@ class Diff {
    * @param {*} newValue - New value
    * @param {string} path - Current path
    * @param {Object} diff - Diff object to update
+   * @param {Object} [options] - Diff options
    */
-  static _compareObjects(oldValue, newValue, path, diff) {
+  static _compareObjects(oldValue, newValue, path, diff, options = {}) {
     // Handle case where either value is undefined
     if (oldValue === undefined && newValue === undefined) {
       return;
@@ -247,6 +864,17 @@ class Diff {
       return;
     }
     
+    // Handle arrays in array mode
+    if (oldType === 'array') {
+      const absolutePath = Path.concat(options.basePath, path);
+      const identity = Diff.getArrayIdentity(absolutePath, options);
+      
+      if (identity) {
+        Diff._compareArrays(oldValue, newValue, path, diff, options, identity);
+        return;
+      }
+    }
+    
     // Handle objects and arrays
     const oldKeys = Object.keys(oldValue);
     const newKeys = Object.keys(newValue);
@@ -254,14 +882,14 @@ class Diff {
     // Find deleted keys
     for (const key of oldKeys) {
       if (!newKeys.includes(key)) {
-        const childPath = path ? `${path}.${key}` : key;
+        const childPath = Path.join(path, key);
         diff.deleted.push(childPath);
       }
     }
     
     // Find added and modified keys
     for (const key of newKeys) {
-      const childPath = path ? `${path}.${key}` : key;
+      const childPath = Path.join(path, key);
       
       if (!oldKeys.includes(key)) {
         diff.added.push({
@@ -270,7 +898,36 @@ class Diff {
         });
       } else {
         // Key exists in both, compare recursively
-        this._compareObjects(oldValue[key], newValue[key], childPath, diff);
+        this._compareObjects(oldValue[key], newValue[key], childPath, diff, options);
+      }
+    }
+  }
+  
+  /**
+   * Compare two arrays by element identity
+   * @private
+   * @param {Array} oldArray - Old array
+   * @param {Array} newArray - New array
+   * @param {string} path - Current path
+   * @param {Object} diff - Diff object to update
+   * @param {Object} options - Diff options
+   * @param {Object} identity - Element identity from getArrayIdentity
+   */
+  static _compareArrays(oldArray, newArray, path, diff, options, identity) {
+    const match = Diff.matchArrays(oldArray, newArray, identity.of);
+    const ops = Diff._arrayOps(oldArray, newArray, match);
+    
+    if (ops.length > 0) {
+      const entry = { path: path || '.', ops };
+      if (identity.key) entry.key = identity.key;
+      diff.arrays.push(entry);
+    }
+    
+    // Elements matched by key may still differ in content
+    if (identity.key) {
+      for (const [oldIndex, newIndex] of match.pairs) {
+        const childPath = Path.join(path, newIndex);
+        this._compareObjects(oldArray[oldIndex], newArray[newIndex], childPath, diff, options);
       }
     }
   }
@@ -0,0 +1,52 @@
+/**
+ * Base class for errors raised by TemporalDB
+ */
+class TemporalDBError extends Error {
+  /**
+   * Create an error
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * Raised when a ref update expected the ref at one value but found another,
+ * for example when a branch moved between reading its head and committing
+ */
+class RefConflictError extends TemporalDBError {
+  /**
+   * Create a ref conflict error
+   * @param {string} ref - Ref name
+   * @param {string|null} expected - Value the ref was expected to have
+   * @param {string|null} actual - Value the ref actually had
+   */
+  constructor(ref, expected, actual) {
+    super(`Ref '${ref}' was expected at ${expected || '(none)'} but is at ${actual || '(none)'}`);
+    this.ref = ref;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+/**
+ * Raised when an operation is blocked by a merge that stopped at conflicts
+ * and has not been committed or aborted yet
+ */
+class MergeInProgressError extends TemporalDBError {
+  /**
+   * Create a merge in progress error
+   * @param {string} sourceBranch - Branch being merged
+   * @param {string} targetBranch - Branch being merged into
+   */
+  constructor(sourceBranch, targetBranch) {
+    super(`A merge of '${sourceBranch}' into '${targetBranch}' is in progress, ` +
+      'finish or abort it first (see getPendingMerge())');
+    this.sourceBranch = sourceBranch;
+    this.targetBranch = targetBranch;
+  }
+}
+
+module.exports = { TemporalDBError, RefConflictError, MergeInProgressError };
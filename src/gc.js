@@ -0,0 +1,240 @@
+const Tag = require('./tag');
+const MergeState = require('./mergestate');
+
+/**
+ * Default time in milliseconds during which new commits and objects are kept
+ * even when nothing references them yet
+ */
+const DEFAULT_GRACE_PERIOD = 60 * 60 * 1000;
+
+/**
+ * Default age in milliseconds after which reflog entries expire
+ */
+const DEFAULT_REFLOG_EXPIRY = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Mark-and-sweep garbage collector for a storage.
+ *
+ * Everything reachable from a ref or from an unexpired reflog entry is kept:
+ * the commits on the history of every branch and tag, the tree nodes of
+ * those commits, annotated tag objects and the state of a merge in progress. Commits and objects
+ * younger than the grace period are kept as well, so a commit that is being
+ * written while the collector runs is never swept from under it, and the
+ * nodes such a commit shares with unreachable history are marked again
+ * right before objects are deleted.
+ */
+class GarbageCollector {
+  /**
+   * Create a garbage collector
+   * @param {Object} storage - Storage instance
+   */
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Remove every commit and object that is no longer reachable
+   * @param {Object} [options] - Collection options
+   * @param {boolean} [options.dryRun=false] - Only report what would be removed
+   * @param {number} [options.gracePeriod=DEFAULT_GRACE_PERIOD] - Age in milliseconds
+   *   below which unreachable commits and objects are kept
+   * @param {number} [options.reflogExpiry=DEFAULT_REFLOG_EXPIRY] - Age in milliseconds
+   *   after which reflog entries are deleted and stop keeping commits alive
+   * @returns {Promise<Object>} Report with the removed (or, for a dry run, removable)
+   *   `commits` and `objects` counts, their total `bytes`, the number of expired
+   *   `reflog` entries and the `reachable` counts
+   */
+  async collect(options = {}) {
+    const dryRun = options.dryRun || false;
+    const gracePeriod = options.gracePeriod !== undefined ? options.gracePeriod : DEFAULT_GRACE_PERIOD;
+    const reflogExpiry = options.reflogExpiry !== undefined ? options.reflogExpiry : DEFAULT_REFLOG_EXPIRY;
+    const now = Date.now();
+    const cutoff = now - gracePeriod;
+    const reflogCutoff = now - reflogExpiry;
+    
+    const entries = await this.storage.getReflog();
+    const reflog = entries.filter(entry => entry.timestamp >= reflogCutoff);
+    const expired = dryRun
+      ? entries.length - reflog.length
+      : await this.storage.expireReflog(reflogCutoff);
+    
+    const objects = await this.storage.listObjects();
+    let commits = await this.indexCommits();
+    
+    const marked = { commits: new Set(), objects: new Set() };
+    await this.mark(await this.findRoots(commits, cutoff, reflog, marked), commits, marked);
+    
+    // Commits that landed while marking may reuse nodes that looked unreachable
+    commits = await this.indexCommits();
+    await this.mark(await this.findRoots(commits, cutoff, reflog, marked), commits, marked);
+    
+    const report = {
+      dryRun,
+      commits: 0,
+      objects: 0,
+      bytes: 0,
+      reflog: expired
+    };
+    
+    const encoder = new TextEncoder();
+    const sweptCommits = [];
+    for (const commit of commits.values()) {
+      if (marked.commits.has(commit.hash)) continue;
+      
+      sweptCommits.push(commit.hash);
+      report.bytes += encoder.encode(JSON.stringify(commit)).length;
+    }
+    
+    let sweptObjects = [];
+    for (const object of objects) {
+      if (marked.objects.has(object.hash)) continue;
+      if (object.time !== null && object.time !== undefined && object.time >= cutoff) continue;
+      
+      sweptObjects.push(object);
+    }
+    
+    if (!dryRun) {
+      // Commits go first, so an interrupted sweep never leaves a commit without its tree
+      for (const hash of sweptCommits) {
+        await this.storage.deleteCommit(hash);
+      }
+      
+      // A commit writes only the nodes that are not stored yet, so one that
+      // landed since marking may use old unreachable nodes: mark once more
+      // right before deleting them
+      commits = await this.indexCommits();
+      await this.mark(await this.findRoots(commits, cutoff, reflog, marked), commits, marked);
+      sweptObjects = sweptObjects.filter(object => !marked.objects.has(object.hash));
+      
+      await this.storage.deleteObjects(sweptObjects.map(object => object.hash));
+    }
+    
+    report.commits = sweptCommits.length;
+    report.objects = sweptObjects.length;
+    report.bytes += sweptObjects.reduce((total, object) => total + object.size, 0);
+    report.reachable = { commits: marked.commits.size, objects: marked.objects.size };
+    
+    return report;
+  }
+
+  /**
+   * Load all commits keyed by hash
+   * @returns {Promise<Map<string, Object>>} Commits by hash
+   */
+  async indexCommits() {
+    const commits = new Map();
+    for (const commit of await this.storage.listCommits()) {
+      commits.set(commit.hash, commit);
+    }
+    return commits;
+  }
+
+  /**
+   * Find the commits the collector starts marking from: commits referenced by
+   * refs, reflog entries (except those a retention run superseded) or annotated tags, and commits younger than the grace
+   * period. Annotated tag objects are marked along the way.
+   * @param {Map<string, Object>} commits - Commits by hash
+   * @param {number} cutoff - Commits at or after this time are roots
+   * @param {Array<Object>} reflog - Reflog entries that have not expired
+   * @param {Object} marked - Sets of marked `commits` and `objects`, updated in place
+   * @returns {Promise<Array<string>>} Root commit hashes
+   */
+  async findRoots(commits, cutoff, reflog, marked) {
+    const roots = new Set();
+    
+    // The history a retention run squashed away is meant to be collected, so
+    // what the reflog recorded for a ref up to its last retention run is not a root
+    const squashed = new Map();
+    reflog.forEach((entry, index) => {
+      if (entry.operation === 'retention') squashed.set(entry.ref, index);
+    });
+    
+    const values = Object.entries(await this.storage.listRefs(''));
+    reflog.forEach((entry, index) => {
+      const last = squashed.has(entry.ref) ? squashed.get(entry.ref) : -1;
+      if (index > last) values.push([entry.ref, entry.old]);
+      if (index >= last) values.push([entry.ref, entry.new]);
+    });
+    
+    // Values that do not name a commit (symbolic HEAD, FORMAT, deletions) are skipped
+    for (const [name, value] of values) {
+      if (!value) continue;
+      
+      if (commits.has(value)) {
+        roots.add(value);
+        continue;
+      }
+      
+      if (name.startsWith('tag/')) {
+        const tag = await this.storage.get(value);
+        if (Tag.isTag(tag)) {
+          marked.objects.add(value);
+          roots.add(tag.commit);
+        }
+      }
+      
+      if (name === MergeState.REF) {
+        const state = await this.storage.get(value);
+        if (MergeState.isMergeState(state)) {
+          marked.objects.add(value);
+          roots.add(state.sourceHead).add(state.targetHead).add(state.ancestorHash);
+        }
+      }
+    }
+    
+    for (const commit of commits.values()) {
+      if (commit.timestamp >= cutoff) roots.add(commit.hash);
+    }
+    
+    return [...roots];
+  }
+
+  /**
+   * Mark the commits reachable from the roots and the tree nodes of those commits
+   * @param {Array<string>} roots - Root commit hashes
+   * @param {Map<string, Object>} commits - Commits by hash
+   * @param {Object} marked - Sets of marked `commits` and `objects`, updated in place
+   * @returns {Promise<void>}
+   */
+  async mark(roots, commits, marked) {
+    const stack = [...roots];
+    
+    while (stack.length > 0) {
+      const hash = stack.pop();
+      if (marked.commits.has(hash)) continue;
+      
+      const commit = commits.get(hash);
+      if (!commit) continue;
+      
+      marked.commits.add(hash);
+      await this.markTree(commit.rootHash, marked.objects);
+      
+      for (const parent of commit.parents || [commit.parent]) {
+        if (parent) stack.push(parent);
+      }
+    }
+  }
+
+  /**
+   * Mark a stored tree, skipping subtrees that are already marked
+   * @param {string} rootHash - Root hash of the tree
+   * @param {Set<string>} marked - Marked object hashes, updated in place
+   * @returns {Promise<void>}
+   */
+  async markTree(rootHash, marked) {
+    const stack = [rootHash];
+    
+    while (stack.length > 0) {
+      const hash = stack.pop();
+      if (marked.has(hash)) continue;
+      
+      marked.add(hash);
+      const node = await this.storage.get(hash);
+      if (!node || !node.children) continue;
+      
+      stack.push(...Object.values(node.children));
+    }
+  }
+}
+
+module.exports = { GarbageCollector, DEFAULT_GRACE_PERIOD, DEFAULT_REFLOG_EXPIRY };
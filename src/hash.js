@@ -0,0 +1,17 @@
+const CryptoJS = require('crypto-js');
+
+/**
+ * Hash a stored record such as a commit, tag or merge state.
+ *
+ * The kind is prefixed to the serialized fields, so records of different
+ * kinds never share a hash. Callers list the fields in a fixed order, since
+ * the order is part of the serialization.
+ * @param {string} kind - Kind of record, e.g. 'commit'
+ * @param {Object} fields - Fields identifying the record
+ * @returns {string} SHA-256 hash in hex
+ */
+function hashObject(kind, fields) {
+  return CryptoJS.SHA256(`${kind} ${JSON.stringify(fields)}`).toString();
+}
+
+module.exports = { hashObject };
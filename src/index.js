@@ -2,7 +2,20 @@ const Storage = require('./storage');
 const MerkleTree = require('./merkle');
 const Diff = require('./diff');
 const Branch = require('./branch');
+const Commit = require('./commit');
+const Tag = require('./tag');
+const Path = require('./path');
+const LazyTree = require('./lazy');
+const MemoryAdapter = require('./adapters/memory');
+const IndexedDBAdapter = require('./adapters/indexeddb');
+const FileSystemAdapter = require('./adapters/filesystem');
 const { Merge, MergeResult } = require('./merge');
+const { Rebase } = require('./rebase');
+const { GarbageCollector } = require('./gc');
+const Retention = require('./retention');
+const Blame = require('./blame');
+const TextMerge = require('./text');
+const { TemporalDBError, RefConflictError, MergeInProgressError } = require('./errors');
 
 /**
  * TemporalDB main class - provides Git-like versioning for application data
@@ -12,9 +25,25 @@ class TemporalDB {
    * Create a new TemporalDB instance
    * @param {Object} options - Configuration options
    * @param {string} [options.name='temporal-db'] - Database name
+   * @param {Object} [options.storage] - Storage adapter (MemoryAdapter, IndexedDBAdapter,
+   *   FileSystemAdapter or any object implementing the adapter interface); defaults
+   *   to IndexedDB where available and to memory otherwise
+   * @param {string} [options.author] - Default author recorded on commits
+   * @param {Object} [options.diff] - Diff options used by diff() and merges,
+   *   e.g. `{ arrays: 'lcs', identity: ['users[*].id'] }`
+   * @param {Object} [options.retention] - Retention policies by branch name,
+   *   used by applyRetention(), see retention.js for the policy format
+   * @param {Object} [options.resolvers] - Conflict resolvers by path pattern applied
+   *   during merges, e.g. `{ 'counters.*': 'sum', tags: 'union' }`
+   * @param {Object} [options.text] - Textual merge of strings edited on both sides,
+   *   e.g. `{ paths: ['pages.*.content'], threshold: 2000, granularity: 'line' }`
    */
   constructor(options = {}) {
-    this.storage = new Storage(options.name || 'temporal-db');
+    this.options = options;
+    this.storage = new Storage({
+      name: options.name || 'temporal-db',
+      adapter: options.storage
+    });
     this.branchManager = null; // Renamed from branch to avoid naming conflicts
     this.mergeHandler = null;  // Using mergeHandler to avoid naming conflicts
     this.initialized = false;
@@ -28,9 +57,13 @@ class TemporalDB {
     if (this.initialized) return;
     
     await this.storage.init();
-    this.branchManager = new Branch(this.storage);
+    this.branchManager = new Branch(this.storage, { author: this.options.author });
     await this.branchManager.init();
-    this.mergeHandler = new Merge(this.storage, this.branchManager);
+    this.mergeHandler = new Merge(this.storage, this.branchManager, {
+      diff: this.options.diff,
+      resolvers: this.options.resolvers,
+      text: this.options.text
+    });
     
     this.initialized = true;
   }
@@ -56,6 +89,16 @@ class TemporalDB {
     return this.branchManager.getCurrentBranch();
   }
 
+  /**
+   * Describe what HEAD points at
+   * @returns {Promise<Object>} Object with the checked out `branch` (null when
+   *   HEAD is detached), the `commit` HEAD resolves to and a `detached` flag
+   */
+  async getHead() {
+    this._ensureInitialized();
+    return this.branchManager.getHead();
+  }
+
   /**
    * List all branches
    * @returns {Promise<Array<string>>} Array of branch names
@@ -68,22 +111,26 @@ class TemporalDB {
   /**
    * Create a new branch from a source branch
    * @param {string} newBranchName - Name for the new branch
-   * @param {string} [sourceBranchName] - Source branch name (defaults to current branch)
+   * @param {string} [sourceBranchName] - Source branch or revision expression
+   *   (defaults to HEAD, which also turns a detached HEAD into a branch)
    * @returns {Promise<string>} New branch head commit hash
    */
   async branch(newBranchName, sourceBranchName) {
     this._ensureInitialized();
     
     if (!sourceBranchName) {
-      sourceBranchName = await this.getCurrentBranch();
+      sourceBranchName = 'HEAD';
     }
     
     return this.branchManager.createBranch(newBranchName, sourceBranchName);
   }
 
   /**
-   * Switch to a different branch
-   * @param {string} branchName - Branch to switch to
+   * Switch to a different branch. Checking out anything else, such as a tag
+   * or `main@{2024-01-01}`, detaches HEAD onto that commit for inspection:
+   * reads follow HEAD, but commits without a branch name are rejected until
+   * a branch is created from it.
+   * @param {string} branchName - Branch to switch to, or revision to detach onto
    * @returns {Promise<string>} New HEAD commit hash
    */
   async checkout(branchName) {
@@ -92,28 +139,40 @@ class TemporalDB {
   }
 
   /**
-   * Get the current data state
+   * Get the current data state, at the checked out branch head or detached commit
    * @returns {Promise<Object>} Current data state
    */
   async getData() {
     this._ensureInitialized();
-    const currentBranch = await this.getCurrentBranch();
-    return this.branchManager.getBranchData(currentBranch);
+    return this.branchManager.getDataAtCommit(await this.branchManager.resolve('HEAD'));
+  }
+
+  /**
+   * Resolve a revision expression to a commit hash. Understands branch and
+   * tag names, `HEAD`, full and unique abbreviated hashes, `~n` ancestors,
+   * `^n` parents and `@{date}`, e.g. `main~3`, `feature^2` or
+   * `main@{2024-01-01}`.
+   * @param {string} rev - Revision expression
+   * @returns {Promise<string>} Commit hash
+   */
+  async resolve(rev) {
+    this._ensureInitialized();
+    return this.branchManager.resolve(rev);
   }
 
   /**
    * Get data at a specific commit
-   * @param {string} commitHash - Commit hash
+   * @param {string} commitHash - Commit hash or any revision expression
    * @returns {Promise<Object>} Data at that commit
    */
   async getDataAtCommit(commitHash) {
     this._ensureInitialized();
-    return this.branchManager.getDataAtCommit(commitHash);
+    return this.branchManager.getDataAtCommit(await this.branchManager.resolve(commitHash));
   }
 
   /**
    * Get data for a specific branch
-   * @param {string} branchName - Branch name
+   * @param {string} branchName - Branch name or revision expression
    * @returns {Promise<Object>} Latest data for the branch
    */
   async getBranchData(branchName) {
@@ -132,39 +191,139 @@ class TemporalDB {
     return this.branchManager.getDataAtTime(branchName, timestamp);
   }
 
+  /**
+   * Read the value at a path, resolving only the Merkle nodes along that path
+   * @param {string|Array<string>} path - Path to read ('.' for the whole document)
+   * @param {Object} [options] - Where to read from, defaults to HEAD
+   * @param {string} [options.branch] - Branch or revision expression to read from
+   * @param {string} [options.commit] - Commit hash or revision expression to read from
+   * @param {Date|string|number} [options.at] - Read the branch as it was at this time
+   * @returns {Promise<*>} Value at the path or undefined if absent
+   */
+  async get(path, options = {}) {
+    this._ensureInitialized();
+    const commitHash = await this._resolveReadTarget(options);
+    return this.branchManager.getValueAtCommit(commitHash, path);
+  }
+
+  /**
+   * Get a lazy view of the data that fetches children on demand
+   * @param {Object} [options] - Where to read from, same as get()
+   * @returns {Promise<LazyTree>} Tree view, see LazyTree
+   */
+  async tree(options = {}) {
+    this._ensureInitialized();
+    const commitHash = await this._resolveReadTarget(options);
+    return this.branchManager.getTreeAtCommit(commitHash);
+  }
+
   /**
    * Create and store a new commit
    * @param {string} branchName - Branch to commit to (defaults to current branch)
    * @param {Object} data - Data to commit
    * @param {string} message - Commit message
+   * @param {Object} [options] - Commit options
+   * @param {string} [options.author] - Commit author
+   * @param {boolean} [options.force] - Commit even while a merge into the branch is in progress
    * @returns {Promise<Object>} Commit object
+   * @throws {Error} If the branch is omitted while HEAD is detached
+   * @throws {MergeInProgressError} If a merge into the branch is in progress
    */
-  async commit(branchName, data, message) {
+  async commit(branchName, data, message, options) {
     this._ensureInitialized();
     
-    if (typeof branchName === 'object' && !data) {
-      // Handle case where branchName is omitted (commit(data, message))
+    if (typeof branchName === 'object' && branchName !== null) {
+      // Handle case where branchName is omitted (commit(data, message, options))
+      options = message;
       message = data;
       data = branchName;
-      branchName = await this.getCurrentBranch();
+      
+      const head = await this.branchManager.getHead();
+      if (head.detached) {
+        throw new Error(`Cannot commit with HEAD detached at ${head.commit}, create a branch from it with db.branch(name) first`);
+      }
+      branchName = head.branch;
     }
     
-    return this.branchManager.commit(branchName, data, message);
+    return this.branchManager.commit(branchName, data, message, options);
   }
 
   /**
-   * Get commit history for a branch
-   * @param {string} [branchName] - Branch name (defaults to current branch)
+   * Apply an RFC 6902 JSON Patch on top of a branch head and commit the result.
+   * `test` operations are checked against the head, so a patch can assert the
+   * values it was computed from and fail instead of overwriting newer changes.
+   * @param {string} branchName - Branch to patch
+   * @param {Array<Object>} operations - JSON Patch operations
+   * @param {string} [message] - Commit message
+   * @param {Object} [options] - Commit options
+   * @returns {Promise<Object>} Commit object
+   * @throws {RefConflictError} If the branch moved while the patch was applied
+   */
+  async patch(branchName, operations, message, options = {}) {
+    this._ensureInitialized();
+    
+    const headHash = await this.branchManager.getBranchHead(branchName);
+    if (!headHash) {
+      throw new Error(`Branch '${branchName}' not found`);
+    }
+    
+    const data = await this.branchManager.getDataAtCommit(headHash);
+    const patched = Diff.applyJsonPatch(data, operations);
+    
+    // The patch was checked against this head, so only commit on top of it
+    return this.branchManager.commit(branchName, patched, message || 'Apply JSON Patch', {
+      ...options,
+      expectedHead: headHash,
+      operation: 'patch'
+    });
+  }
+
+  /**
+   * Get commit history for a branch, walking the parent chain from its head
+   * @param {string} [branchName] - Branch name or revision expression (defaults to HEAD)
+   * @param {Object} [options] - History options (limit, offset, cursor, stopAt,
+   *   firstParent, paths), see Branch#getHistory
    * @returns {Promise<Array<Object>>} Array of commit objects
    */
-  async getHistory(branchName) {
+  async getHistory(branchName, options) {
     this._ensureInitialized();
     
+    if (branchName && typeof branchName === 'object') {
+      options = branchName;
+      branchName = null;
+    }
+    
     if (!branchName) {
-      branchName = await this.getCurrentBranch();
+      branchName = 'HEAD';
     }
     
-    return this.branchManager.getHistory(branchName);
+    return this.branchManager.getHistory(branchName, options);
+  }
+
+  /**
+   * List the commits that changed a path, with its value before and after each
+   * @param {string|Array<string>} path - Path to follow, e.g. 'settings.billing.plan'
+   * @param {Object} [options] - History options
+   * @param {string} [options.branch] - Branch name or revision expression (defaults to HEAD)
+   * @param {Date|string|number} [options.since] - Leave out commits made before this time
+   * @param {Date|string|number} [options.until] - Leave out commits made after this time
+   * @returns {Promise<Array<Object>>} Changes, most recent first, with the
+   *   `commit`, `oldValue` and `newValue`
+   */
+  async pathHistory(path, options = {}) {
+    this._ensureInitialized();
+    return new Blame(this.storage, this.branchManager)
+      .pathHistory(options.branch || 'HEAD', path, options);
+  }
+
+  /**
+   * Find the commit that last set each value of a branch
+   * @param {string} [branchName] - Branch name or revision expression (defaults to HEAD)
+   * @returns {Promise<Object>} Object mapping leaf paths to commit objects
+   */
+  async blame(branchName) {
+    this._ensureInitialized();
+    return new Blame(this.storage, this.branchManager).blame(branchName || 'HEAD');
   }
 
   /**
@@ -177,30 +336,261 @@ class TemporalDB {
     return this.branchManager.deleteBranch(branchName);
   }
 
+  /**
+   * Remove commits and objects that are no longer reachable from any ref,
+   * such as the history of deleted branches and trees of abandoned commits
+   * @param {Object} [options] - Collection options
+   * @param {boolean} [options.dryRun=false] - Only report what would be removed
+   * @param {number} [options.gracePeriod] - Age in milliseconds below which
+   *   unreachable commits and objects are kept (one hour by default)
+   * @param {number} [options.reflogExpiry] - Age in milliseconds after which
+   *   reflog entries are deleted (30 days by default)
+   * @returns {Promise<Object>} Report with `commits`, `objects` and `bytes`
+   *   removed (or removable), expired `reflog` entries and the `reachable` counts
+   */
+  async gc(options) {
+    this._ensureInitialized();
+    return new GarbageCollector(this.storage).collect(options);
+  }
+
+  /**
+   * Thin out the history of a branch according to its retention policy,
+   * squashing dropped commits into the retained ones, then collect garbage
+   * @param {string} [branchName] - Branch to thin out (defaults to current branch)
+   * @param {Object} [options] - Retention options
+   * @param {Array<Object>} [options.policy] - Policy to apply instead of the configured one
+   * @param {number} [options.now] - Time ages are measured from
+   * @param {Object|boolean} [options.gc] - Options for the gc() run afterwards,
+   *   or false to skip it
+   * @returns {Promise<Object>} Result with the new `head`, the number of commits
+   *   `retained` and `dropped`, and the `gc` report
+   */
+  async applyRetention(branchName, options = {}) {
+    this._ensureInitialized();
+    
+    if (branchName && typeof branchName === 'object') {
+      options = branchName;
+      branchName = null;
+    }
+    
+    if (!branchName) {
+      branchName = await this.getCurrentBranch();
+    }
+    
+    const policy = options.policy || (this.options.retention || {})[branchName];
+    if (!policy) {
+      throw new Error(`No retention policy configured for branch '${branchName}'`);
+    }
+    
+    const retention = new Retention(this.storage, this.branchManager);
+    const result = await retention.apply(branchName, policy, { now: options.now });
+    
+    if (options.gc !== false) {
+      result.gc = await this.gc(typeof options.gc === 'object' ? options.gc : {});
+    }
+    
+    return result;
+  }
+
+  /**
+   * Create a tag pinning a commit, e.g. a published version
+   * @param {string} tagName - Tag name
+   * @param {string} [commitish] - Revision to tag (defaults to HEAD)
+   * @param {Object} [options] - Tag options
+   * @param {string} [options.message] - Tag message, makes the tag annotated
+   * @param {boolean} [options.annotated] - Record message, tagger and time in a tag
+   *   object (defaults to true when a message is given)
+   * @returns {Promise<Object>} Tag with name, commit and annotated flag, plus
+   *   message, tagger and timestamp for annotated tags
+   */
+  async tag(tagName, commitish, options) {
+    this._ensureInitialized();
+    
+    if (commitish && typeof commitish === 'object') {
+      options = commitish;
+      commitish = null;
+    }
+    
+    if (!commitish) {
+      commitish = 'HEAD';
+    }
+    
+    return this.branchManager.createTag(tagName, commitish, options);
+  }
+
+  /**
+   * List all tags
+   * @returns {Promise<Array<Object>>} Tags, see tag()
+   */
+  async listTags() {
+    this._ensureInitialized();
+    return this.branchManager.listTags();
+  }
+
+  /**
+   * Delete a tag
+   * @param {string} tagName - Tag to delete
+   * @returns {Promise<void>}
+   */
+  async deleteTag(tagName) {
+    this._ensureInitialized();
+    return this.branchManager.deleteTag(tagName);
+  }
+
+  /**
+   * Get the recorded movements of a ref, newest first
+   * @param {string} [ref='HEAD'] - `HEAD`, a branch name or a full ref name like `tag/v1`
+   * @returns {Promise<Array<Object>>} Entries with index, ref, old and new values,
+   *   operation, message, author and timestamp
+   */
+  async reflog(ref) {
+    this._ensureInitialized();
+    return this.branchManager.reflog(ref);
+  }
+
+  /**
+   * Move a ref back to the value it had before a reflog entry, e.g. to undo
+   * a merge or recover a deleted branch
+   * @param {string} ref - `HEAD`, a branch name or a full ref name
+   * @param {Object|number} [entry=0] - Reflog entry, or its index in reflog()
+   * @returns {Promise<string>} Restored ref value
+   */
+  async restoreRef(ref, entry = 0) {
+    this._ensureInitialized();
+    return this.branchManager.restoreRef(ref, entry);
+  }
+
   /**
    * Merge a source branch into a target branch
-   * @param {string} sourceBranch - Branch to merge from
+   * @param {string} sourceBranch - Branch or revision expression to merge from
    * @param {string} [targetBranch] - Branch to merge into (defaults to current branch)
-   * @returns {Promise<MergeResult>} Merge result
+   * @param {Object} [options] - Merge options
+   * @param {string} [options.ff='auto'] - Fast-forward mode ('auto', 'only' or 'never')
+   * @param {string|Function} [options.strategy] - Strategy for conflicts no resolver
+   *   matches: 'ours', 'theirs', 'union', 'max', 'min', 'sum' or 'lww'
+   * @param {Object} [options.resolvers] - Resolvers by path pattern for this merge
+   * @returns {Promise<MergeResult>} Merge result; one with conflicts stays in
+   *   progress, blocking commits to the target, until applied or aborted
+   * @throws {MergeInProgressError} If another merge is in progress
    */
-  async merge(sourceBranch, targetBranch) {
+  async merge(sourceBranch, targetBranch, options) {
     this._ensureInitialized();
     
+    if (targetBranch && typeof targetBranch === 'object') {
+      options = targetBranch;
+      targetBranch = null;
+    }
+    
     if (!targetBranch) {
       targetBranch = await this.getCurrentBranch();
     }
     
-    return this.mergeHandler.mergeBranches(sourceBranch, targetBranch);
+    return this.mergeHandler.mergeBranches(sourceBranch, targetBranch, options);
+  }
+
+  /**
+   * Get the merge that stopped at conflicts and is still in progress, e.g.
+   * to continue resolving it after a reload
+   * @returns {Promise<MergeResult|null>} Merge result with the resolutions
+   *   recorded so far, or null
+   */
+  async getPendingMerge() {
+    this._ensureInitialized();
+    return this.mergeHandler.getPendingMerge();
+  }
+
+  /**
+   * Register a resolver that settles merge conflicts at matching paths
+   * @param {string} pattern - Path pattern, `*` matching any single key
+   * @param {string|Function} resolver - Strategy name, or a function receiving
+   *   `{path, ancestor, source, target}` and returning the resolved value
+   */
+  registerResolver(pattern, resolver) {
+    this._ensureInitialized();
+    this.mergeHandler.registerResolver(pattern, resolver);
+  }
+
+  /**
+   * Replay the commits a branch made since it diverged on top of another
+   * revision, for a linear history without merge commits. The branch only
+   * moves once every commit has been replayed.
+   * @param {string} [branchName] - Branch to rebase (defaults to current branch)
+   * @param {string} onto - Branch or revision to replay it on; when it is the
+   *   only argument, the current branch is rebased onto it
+   * @returns {Promise<RebaseState>} State that is either `done`, or stopped at a
+   *   conflicting commit and offering continue(resolutions), skip() and abort()
+   */
+  async rebase(branchName, onto) {
+    this._ensureInitialized();
+    
+    if (onto === undefined) {
+      onto = branchName;
+      branchName = await this.getCurrentBranch();
+    }
+    
+    return new Rebase(this.storage, this.branchManager, this.mergeHandler).start(branchName, onto);
+  }
+
+  /**
+   * Copy the change a commit made (compared with its first parent) onto a branch
+   * @param {string} commit - Commit to pick, as a revision expression
+   * @param {Object} [options] - Options
+   * @param {string} [options.branch] - Branch to apply it to (defaults to current branch)
+   * @param {string} [options.message] - Commit message (defaults to the picked commit's)
+   * @returns {Promise<Object|MergeResult>} The new commit, or a merge result with
+   *   the conflicts to resolve through resolveWith()
+   */
+  async cherryPick(commit, options = {}) {
+    this._ensureInitialized();
+    const branchName = options.branch || await this.getCurrentBranch();
+    return this.mergeHandler.cherryPick(commit, branchName, options);
+  }
+
+  /**
+   * Undo the change a commit made with a new commit, keeping later work
+   * @param {string} commit - Commit to revert, as a revision expression
+   * @param {Object} [options] - Options
+   * @param {string} [options.branch] - Branch to revert it on (defaults to current branch)
+   * @param {string} [options.message] - Commit message (defaults to `Revert "<message>"`)
+   * @returns {Promise<Object|MergeResult>} The new commit, or a merge result with
+   *   the conflicts to resolve through resolveWith()
+   */
+  async revert(commit, options = {}) {
+    this._ensureInitialized();
+    const branchName = options.branch || await this.getCurrentBranch();
+    return this.mergeHandler.revert(commit, branchName, options);
   }
 
   /**
    * Generate a diff between two objects
    * @param {Object} oldObj - Previous object state
    * @param {Object} newObj - New object state
+   * @param {Object} [options] - Diff options, defaults to the database's
    * @returns {Object} Diff object
    */
-  diff(oldObj, newObj) {
-    return Diff.generate(oldObj, newObj);
+  diff(oldObj, newObj, options) {
+    return Diff.generate(oldObj, newObj, options || this.options.diff);
+  }
+
+  /**
+   * Generate a diff between two stored revisions. Their trees are compared
+   * node by node and identical subtrees are skipped without being loaded.
+   * Arrays are compared index by index.
+   * @param {string|Date|number} a - Older revision: a commit, branch, tag or
+   *   revision expression, or a point in time on the current branch
+   * @param {string|Date|number} b - Newer revision, same forms as `a`
+   * @param {Object} [options] - Diff options
+   * @param {Array<string>|string} [options.paths] - Only compare these paths
+   * @returns {Promise<Object>} Diff object, as returned by diff(), with a
+   *   `summary` of the `added`, `modified` and `deleted` counts
+   */
+  async diffRevisions(a, b, options = {}) {
+    this._ensureInitialized();
+    const [oldHash, newHash] = await Promise.all([
+      this._resolveRevision(a),
+      this._resolveRevision(b)
+    ]);
+    return this.branchManager.diffCommits(oldHash, newHash, options);
   }
 
   /**
@@ -213,6 +603,43 @@ class TemporalDB {
     return Diff.apply(obj, diff);
   }
 
+  /**
+   * Resolve read options to a commit hash
+   * @private
+   * @param {Object} options - Read options with branch, commit or at
+   * @returns {Promise<string>} Commit hash
+   */
+  async _resolveReadTarget(options) {
+    if (options.commit) {
+      return this.branchManager.resolve(options.commit);
+    }
+    
+    const branchName = options.branch || 'HEAD';
+    
+    if (options.at !== undefined) {
+      const commit = await this.branchManager.findCommitAtTime(branchName, options.at);
+      return commit.hash;
+    }
+    
+    return this.branchManager.resolve(branchName);
+  }
+
+  /**
+   * Resolve a revision or a point in time to a commit hash
+   * @private
+   * @param {string|Date|number} rev - Revision expression, or a Date or
+   *   timestamp to read the current branch at
+   * @returns {Promise<string>} Commit hash
+   */
+  async _resolveRevision(rev) {
+    if (rev instanceof Date || typeof rev === 'number') {
+      const commit = await this.branchManager.findCommitAtTime('HEAD', rev);
+      return commit.hash;
+    }
+    
+    return this.branchManager.resolve(rev);
+  }
+
   /**
    * Helper to ensure the database is initialized
    * @private
@@ -224,4 +651,23 @@ class TemporalDB {
   }
 }
 
-module.exports = { TemporalDB, Storage, MerkleTree, Diff };
\ No newline at end of file
+module.exports = {
+  TemporalDB,
+  Storage,
+  MerkleTree,
+  Diff,
+  Merge,
+  TextMerge,
+  Commit,
+  Tag,
+  Path,
+  LazyTree,
+  Retention,
+  Blame,
+  MemoryAdapter,
+  IndexedDBAdapter,
+  FileSystemAdapter,
+  TemporalDBError,
+  RefConflictError,
+  MergeInProgressError
+};
\ No newline at end of file
@@ -0,0 +1,152 @@
+const MerkleTree = require('./merkle');
+const Path = require('./path');
+
+/**
+ * Read-only view of a stored Merkle tree that loads nodes on demand.
+ * Only the nodes along the paths that are read are fetched from storage,
+ * so reading a small slice of a large document stays cheap.
+ */
+class LazyTree {
+  /**
+   * Create a lazy view of a stored tree
+   * @param {Object} storage - Storage instance
+   * @param {string} hash - Hash of the root node
+   */
+  constructor(storage, hash) {
+    this.storage = storage;
+    this.hash = hash;
+    this._node = null;
+    this._children = new Map();
+  }
+
+  /**
+   * Load this node from storage, once
+   * @returns {Promise<Object>} Stored node
+   */
+  async load() {
+    if (!this._node) {
+      this._node = await this.storage.get(this.hash);
+      if (!this._node) {
+        throw new Error(`Node with hash ${this.hash} not found in storage`);
+      }
+    }
+
+    return this._node;
+  }
+
+  /**
+   * Get the type of this node
+   * @returns {Promise<string>} 'object', 'array' or a primitive type
+   */
+  async type() {
+    return (await this.load()).type;
+  }
+
+  /**
+   * List the keys of this node
+   * @returns {Promise<Array<string>>} Child keys, empty for primitive values
+   */
+  async keys() {
+    const node = await this.load();
+    return Object.keys(node.children || {});
+  }
+
+  /**
+   * Get a direct child of this node
+   * @param {string|number} key - Child key
+   * @returns {Promise<LazyTree|undefined>} Child view or undefined if absent
+   */
+  async child(key) {
+    key = String(key);
+
+    if (!this._children.has(key)) {
+      const node = await this.load();
+      if (!node.children || !Object.prototype.hasOwnProperty.call(node.children, key)) {
+        return undefined;
+      }
+
+      this._children.set(key, new LazyTree(this.storage, node.children[key]));
+    }
+
+    return this._children.get(key);
+  }
+
+  /**
+   * Get the view of the node at a path below this one
+   * @param {string|Array<string>} path - Path relative to this node
+   * @returns {Promise<LazyTree|undefined>} Node view or undefined if absent
+   */
+  async node(path) {
+    let current = this;
+
+    for (const segment of Path.parse(path)) {
+      current = await current.child(segment);
+      if (!current) return undefined;
+    }
+
+    return current;
+  }
+
+  /**
+   * Check whether a path exists below this node
+   * @param {string|Array<string>} path - Path relative to this node
+   * @returns {Promise<boolean>} True if the path exists
+   */
+  async has(path) {
+    return (await this.node(path)) !== undefined;
+  }
+
+  /**
+   * Read the value at a path, loading only that subtree
+   * @param {string|Array<string>} [path] - Path relative to this node
+   * @returns {Promise<*>} Value at the path or undefined if absent
+   */
+  async get(path) {
+    const node = await this.node(path);
+    return node ? node.toObject() : undefined;
+  }
+
+  /**
+   * Load the full value of this subtree
+   * @returns {Promise<*>} Value of this node
+   */
+  async toObject() {
+    const tree = await MerkleTree.retrieveTree(this.storage, this.hash);
+    return MerkleTree.toObject(tree);
+  }
+
+  /**
+   * Create a proxy for reading by property access. Every property access
+   * returns another proxy, and awaiting one reads the value at that path:
+   * `await tree.proxy().settings.theme`. Keys named `then` cannot be
+   * reached this way, use get() for them.
+   * @returns {Proxy} Thenable path proxy
+   */
+  proxy() {
+    return LazyTree._pathProxy(this, []);
+  }
+
+  /**
+   * Build a thenable proxy for a path
+   * @private
+   * @param {LazyTree} tree - Root view
+   * @param {Array<string>} segments - Path segments
+   * @returns {Proxy} Thenable path proxy
+   */
+  static _pathProxy(tree, segments) {
+    return new Proxy({}, {
+      get(target, property) {
+        if (typeof property === 'symbol') return undefined;
+
+        if (property === 'then') {
+          const value = tree.get(segments);
+          return value.then.bind(value);
+        }
+
+        return LazyTree._pathProxy(tree, [...segments, property]);
+      }
+    });
+  }
+}
+
+module.exports = LazyTree;
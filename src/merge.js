@@ -1,6 +1,37 @@
+const _ = require('lodash');
 const MerkleTree = require('./merkle');
 const Diff = require('./diff');
 const Storage = require('./storage');
+const Path = require('./path');
+const TextMerge = require('./text');
+const MergeState = require('./mergestate');
+const { MergeInProgressError } = require('./errors');
+
+/**
+ * Value a resolver returns to leave a conflict unresolved
+ */
+const UNRESOLVED = Symbol('unresolved');
+
+const bothNumbers = (a, b) => typeof a === 'number' && typeof b === 'number';
+
+/**
+ * Built-in conflict resolution strategies. Each receives the conflicting
+ * `ancestor`, `source` and `target` values and returns the resolved value,
+ * or UNRESOLVED when the values are not of a kind it handles.
+ */
+const STRATEGIES = {
+  ours: ({ target }) => target,
+  theirs: ({ source }) => source,
+  union: ({ source, target }) => (Array.isArray(source) && Array.isArray(target)
+    ? _.unionWith(target, source, _.isEqual)
+    : UNRESOLVED),
+  max: ({ source, target }) => (bothNumbers(source, target) ? Math.max(source, target) : UNRESOLVED),
+  min: ({ source, target }) => (bothNumbers(source, target) ? Math.min(source, target) : UNRESOLVED),
+  sum: ({ ancestor, source, target }) => (bothNumbers(source, target)
+    ? target + source - (typeof ancestor === 'number' ? ancestor : 0)
+    : UNRESOLVED),
+  lww: (conflict, context) => Merge._lastWriter(conflict, context)
+};
 
 /**
  * Handles merging branches and resolving conflicts
@@ -10,76 +41,230 @@ class Merge {
    * Create a new Merge handler
    * @param {Object} storage - Storage instance
    * @param {Object} branch - Branch manager instance
+   * @param {Object} [options] - Options
+   * @param {Object} [options.diff] - Diff options used for merges (array mode and
+   *   identity keys), see Diff.generate
+   * @param {Object} [options.resolvers] - Conflict resolvers by path pattern,
+   *   see registerResolver
+   * @param {Object} [options.text] - Textual merge of strings both sides edited
+   * @param {Array<string>} [options.text.paths] - Path patterns of strings to merge
+   *   textually
+   * @param {number} [options.text.threshold] - Merge any string at least this
+   *   long textually
+   * @param {string} [options.text.granularity='line'] - 'line' or 'word'
    */
-  constructor(storage, branch) {
+  constructor(storage, branch, options = {}) {
     this.storage = storage;
     this.branch = branch;
+    this.diffOptions = options.diff || {};
+    this.textOptions = options.text || {};
+    this.resolvers = new Map();
+    
+    for (const [pattern, resolver] of Object.entries(options.resolvers || {})) {
+      this.registerResolver(pattern, resolver);
+    }
+  }
+
+  /**
+   * Value a resolver function returns to leave a conflict unresolved
+   * @returns {Symbol} Marker value
+   */
+  static get UNRESOLVED() {
+    return UNRESOLVED;
+  }
+
+  /**
+   * Register a resolver that settles conflicts at matching paths during merges.
+   * A conflict inside a matching path resolves the whole matching value.
+   * @param {string} pattern - Path pattern, `*` matching any single key
+   * @param {string|Function} resolver - Strategy name ('ours', 'theirs', 'union',
+   *   'max', 'min', 'sum' or 'lww'), or a function receiving `{path, ancestor,
+   *   source, target}` and returning the resolved value (or Merge.UNRESOLVED)
+   */
+  registerResolver(pattern, resolver) {
+    Merge._checkResolver(resolver);
+    this.resolvers.set(pattern, resolver);
+  }
+
+  /**
+   * Resolve one conflict with a strategy or resolver function
+   * @param {string|Function} resolver - Strategy name or resolver function
+   * @param {Object} conflict - Conflicting `path` and `ancestor`, `source` and `target` values
+   * @param {Object} context - Merge context with the `branch` manager and the
+   *   `commits` ({ancestor, source, target} hashes) being merged, if any
+   * @returns {Promise<*>} Resolved value, or Merge.UNRESOLVED
+   */
+  static async resolveConflict(resolver, conflict, context) {
+    Merge._checkResolver(resolver);
+    const resolve = typeof resolver === 'function' ? resolver : STRATEGIES[resolver];
+    return resolve(conflict, context);
+  }
+
+  /**
+   * Check that a resolver is a function or a known strategy name
+   * @private
+   * @param {string|Function} resolver - Resolver to check
+   * @throws {Error} If it is neither
+   */
+  static _checkResolver(resolver) {
+    if (typeof resolver !== 'function' && !Object.prototype.hasOwnProperty.call(STRATEGIES, resolver)) {
+      throw new Error(`Unknown merge strategy '${resolver}'`);
+    }
+  }
+
+  /**
+   * Last-writer-wins: pick the side whose latest commit changing the path is
+   * the most recent. Needs the commits being merged; on equal times the
+   * target wins.
+   * @private
+   * @param {Object} conflict - Conflicting path and values
+   * @param {Object} context - Merge context
+   * @returns {Promise<*>} Winning value, or UNRESOLVED without commits
+   */
+  static async _lastWriter(conflict, context) {
+    const { branch, commits } = context;
+    if (!commits || !commits.source || !commits.target) {
+      return UNRESOLVED;
+    }
+    
+    const exclude = commits.ancestor ? await branch.getAncestors(commits.ancestor) : new Set();
+    const lastWrite = async (head) => {
+      for await (const commit of branch.walkCommits([head], { exclude })) {
+        if (await branch._touchesPaths(commit, [conflict.path])) return commit.timestamp;
+      }
+      return -Infinity;
+    };
+    
+    return await lastWrite(commits.source) > await lastWrite(commits.target)
+      ? conflict.source
+      : conflict.target;
   }
 
   /**
    * Find the common ancestor of two branches
    * @param {string} branchA - First branch name
    * @param {string} branchB - Second branch name
-   * @returns {Promise<string>} Common ancestor commit hash
+   * @returns {Promise<string|null>} Common ancestor commit hash
    */
   async findCommonAncestor(branchA, branchB) {
-    // Special case: if branches are the same, return the head
-    if (branchA === branchB) {
-      return await this.branch.getBranchHead(branchA);
-    }
-
-    // Get the head commit hash for both branches
     const headA = await this.branch.getBranchHead(branchA);
     const headB = await this.branch.getBranchHead(branchB);
-
-    // Special case: if one branch is directly pointing to the same commit
-    if (headA === headB) {
-      return headA;
+    
+    if (!headA || !headB) {
+      return null;
     }
+    
+    return this.findMergeBase(headA, headB);
+  }
 
-    // Get the commit histories for both branches
-    const commitsA = await this.storage.getCommitsForBranch(branchA);
-    const commitsB = await this.storage.getCommitsForBranch(branchB);
+  /**
+   * Find the best common ancestor of two commits. When several lowest
+   * common ancestors exist (criss-cross merges), the most recent one is used.
+   * @param {string} hashA - First commit hash
+   * @param {string} hashB - Second commit hash
+   * @returns {Promise<string|null>} Merge base commit hash or null if unrelated
+   */
+  async findMergeBase(hashA, hashB) {
+    const bases = await this.findMergeBases(hashA, hashB);
+    if (bases.length === 0) return null;
     
-    // Create maps for quick lookups
-    const hashMapA = new Map();
+    let best = null;
+    for (const hash of bases) {
+      const commit = await this.storage.getCommit(hash);
+      if (!best || commit.timestamp > best.timestamp) {
+        best = commit;
+      }
+    }
     
-    // Build maps of commit hashes for both branches
-    for (const commit of commitsA) {
-      hashMapA.set(commit.hash, commit);
+    return best.hash;
+  }
+
+  /**
+   * Find all lowest common ancestors of two commits in the commit graph
+   * @param {string} hashA - First commit hash
+   * @param {string} hashB - Second commit hash
+   * @returns {Promise<Array<string>>} Commit hashes of the lowest common ancestors
+   */
+  async findMergeBases(hashA, hashB) {
+    if (hashA === hashB) {
+      return [hashA];
     }
     
-    for (const commit of commitsB) {
-      // Check if this commit exists in branch A
-      if (hashMapA.has(commit.hash)) {
-        return commit.hash;
+    const ancestorsA = await this.branch.getAncestors(hashA);
+    
+    // Walk back from B, stopping at the first commits shared with A
+    const candidates = [];
+    const seen = new Set();
+    const stack = [hashB];
+    
+    while (stack.length > 0) {
+      const hash = stack.pop();
+      if (seen.has(hash)) continue;
+      seen.add(hash);
+      
+      if (ancestorsA.has(hash)) {
+        candidates.push(hash);
+        continue;
+      }
+      
+      const commit = await this.storage.getCommit(hash);
+      if (!commit) {
+        throw new Error(`Commit '${hash}' not found`);
       }
+      stack.push(...(commit.parents || []));
     }
     
-    // For tests - just use the initial commit as common ancestor
-    if (commitsA.length > 0 && commitsB.length > 0) {
-      if (commitsA[commitsA.length - 1].parent === null) {
-        return commitsA[commitsA.length - 1].hash;
+    // A candidate reachable from another candidate is not a lowest ancestor
+    const bases = [];
+    for (const candidate of candidates) {
+      let redundant = false;
+      for (const other of candidates) {
+        if (other !== candidate && (await this.branch.getAncestors(other)).has(candidate)) {
+          redundant = true;
+          break;
+        }
       }
       
-      if (commitsB[commitsB.length - 1].parent === null) {
-        return commitsB[commitsB.length - 1].hash;
+      if (!redundant) {
+        bases.push(candidate);
       }
     }
     
-    // For testing: fallback to first commit
-    return headA;
+    return bases;
   }
 
   /**
    * Perform a three-way merge between branches
-   * @param {string} sourceBranch - Branch to merge from
+   * @param {string} sourceBranch - Branch to merge from, or any revision expression
    * @param {string} targetBranch - Branch to merge into
-   * @returns {Promise<MergeResult>} Result of the merge operation
+   * @param {Object} [options] - Merge options
+   * @param {string} [options.ff='auto'] - Fast-forward mode: 'auto' fast-forwards when
+   *   possible, 'never' always creates a merge commit, 'only' refuses to merge
+   *   unless the target can be fast-forwarded or is already up to date
+   * @param {string|Function} [options.strategy] - Strategy for conflicts no resolver matches
+   * @param {Object} [options.resolvers] - Resolvers by path pattern for this merge,
+   *   taking precedence over the registered ones
+   * @returns {Promise<MergeResult>} Result of the merge operation. A merge with
+   *   conflicts is recorded as in progress until it is applied or aborted.
+   * @throws {MergeInProgressError} If another merge is in progress
    */
-  async mergeBranches(sourceBranch, targetBranch) {
-    // Get the head commits for both branches
-    const sourceHead = await this.branch.getBranchHead(sourceBranch);
+  async mergeBranches(sourceBranch, targetBranch, options = {}) {
+    const ff = options.ff || 'auto';
+    if (!['auto', 'only', 'never'].includes(ff)) {
+      throw new Error(`Invalid fast-forward mode '${ff}'`);
+    }
+    
+    if (options.strategy) {
+      Merge._checkResolver(options.strategy);
+    }
+    
+    const pending = await this.branch.getMergeState();
+    if (pending) {
+      throw new MergeInProgressError(pending.sourceBranch, pending.targetBranch);
+    }
+    
+    // Get the head commits for both branches, the source may be any revision
+    const sourceHead = await this.branch.resolve(sourceBranch).catch(() => null);
     const targetHead = await this.branch.getBranchHead(targetBranch);
     
     if (!sourceHead) {
@@ -91,66 +276,649 @@ class Merge {
     }
     
     // Find common ancestor
-    const ancestorHash = await this.findCommonAncestor(sourceBranch, targetBranch);
+    const ancestorHash = await this.findMergeBase(sourceHead, targetHead);
     if (!ancestorHash) {
       throw new Error(`No common ancestor found for branches '${sourceBranch}' and '${targetBranch}'`);
     }
     
+    const mergeResult = (result) => new MergeResult(
+      this.storage,
+      this.branch,
+      sourceBranch,
+      targetBranch,
+      sourceHead,
+      targetHead,
+      ancestorHash,
+      result
+    );
+    
+    // Source is already contained in the target
+    if (ancestorHash === sourceHead) {
+      return mergeResult({
+        merged: await this.branch.getDataAtCommit(targetHead),
+        hasConflicts: false,
+        conflicts: [],
+        upToDate: true
+      });
+    }
+    
+    // Target is an ancestor of the source, so its ref can simply move forward
+    if (ancestorHash === targetHead && ff !== 'never') {
+      return mergeResult({
+        merged: await this.branch.getDataAtCommit(sourceHead),
+        hasConflicts: false,
+        conflicts: [],
+        fastForward: true
+      });
+    }
+    
+    if (ff === 'only') {
+      throw new Error(`Cannot fast-forward branch '${targetBranch}' to '${sourceBranch}'`);
+    }
+    
     // Get data from all three points
     const sourceData = await this.branch.getDataAtCommit(sourceHead);
     const targetData = await this.branch.getDataAtCommit(targetHead);
     const ancestorData = await this.branch.getDataAtCommit(ancestorHash);
     
     // Perform three-way merge
-    const result = await this.threeWayMerge(ancestorData, sourceData, targetData);
+    const result = await this.threeWayMerge(ancestorData, sourceData, targetData, {
+      strategy: options.strategy,
+      resolvers: options.resolvers,
+      commits: { ancestor: ancestorHash, source: sourceHead, target: targetHead }
+    });
+    
+    // Create MergeResult object with methods to apply the merge, recording it
+    // as in progress when it needs resolving
+    const merge = mergeResult(result);
+    if (merge.hasConflicts) {
+      merge._track({ strategy: options.strategy, resolvers: options.resolvers });
+      await merge._save();
+    }
+    
+    return merge;
+  }
+
+  /**
+   * Get the merge that stopped at conflicts and has not been applied or
+   * aborted, with the resolutions recorded so far. The merge is computed again
+   * from its commits; resolver functions passed to merge() are not recorded,
+   * only strategy names and the registered resolvers apply.
+   * @returns {Promise<MergeResult|null>} Merge result, or null when no merge is in progress
+   */
+  async getPendingMerge() {
+    const state = await this.branch.getMergeState();
+    if (!state) {
+      return null;
+    }
+    
+    const result = await this.threeWayMerge(
+      await this.branch.getDataAtCommit(state.ancestorHash),
+      await this.branch.getDataAtCommit(state.sourceHead),
+      await this.branch.getDataAtCommit(state.targetHead),
+      {
+        strategy: state.strategy || undefined,
+        resolvers: state.resolvers,
+        commits: { ancestor: state.ancestorHash, source: state.sourceHead, target: state.targetHead }
+      }
+    );
     
-    // Create MergeResult object with methods to apply the merge
-    return new MergeResult(
+    const merge = new MergeResult(
       this.storage,
       this.branch,
-      sourceBranch,
+      state.sourceBranch,
+      state.targetBranch,
+      state.sourceHead,
+      state.targetHead,
+      state.ancestorHash,
+      result
+    );
+    merge._track(state);
+    
+    return merge;
+  }
+
+  /**
+   * Copy the change a commit made onto a branch, as a new commit
+   * @param {string} rev - Commit to pick, as a revision expression
+   * @param {string} targetBranch - Branch to apply the change to
+   * @param {Object} [options] - Options
+   * @param {string} [options.message] - Commit message (defaults to the picked commit's)
+   * @returns {Promise<Object|MergeResult>} The new commit, or a merge result
+   *   holding the conflicts when the change does not apply cleanly
+   */
+  async cherryPick(rev, targetBranch, options = {}) {
+    return this._replay(rev, targetBranch, false, options);
+  }
+
+  /**
+   * Undo the change a commit made, as a new commit on a branch. Later changes
+   * to other paths are kept.
+   * @param {string} rev - Commit to revert, as a revision expression
+   * @param {string} targetBranch - Branch to apply the revert to
+   * @param {Object} [options] - Options
+   * @param {string} [options.message] - Commit message (defaults to `Revert "<message>"`)
+   * @returns {Promise<Object|MergeResult>} The new commit, or a merge result
+   *   holding the conflicts when later commits changed the same paths
+   */
+  async revert(rev, targetBranch, options = {}) {
+    return this._replay(rev, targetBranch, true, options);
+  }
+
+  /**
+   * Replay the diff of a commit against its first parent, or the inverse of
+   * that diff, onto some data through a three-way merge
+   * @param {Object} commit - Commit to replay
+   * @param {Object} target - Data to apply the change to
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.invert=false] - Replay the inverse diff, undoing the commit
+   * @returns {Promise<Object>} Merge result with merged data and conflicts, plus
+   *   the `ancestorHash` the change was computed from
+   */
+  async replayCommit(commit, target, options = {}) {
+    // Merge commits are replayed relative to their first parent
+    const [parentHash] = commit.parents || [commit.parent];
+    const parentData = parentHash ? await this.branch.getDataAtCommit(parentHash) : {};
+    const commitData = await this.branch.getDataAtCommit(commit.hash);
+    const diff = Diff.generate(parentData, commitData, this.diffOptions);
+    
+    // The commit (or its parent, for a revert) is the base the replayed change starts from
+    const ancestor = options.invert ? commitData : parentData;
+    const source = Diff.apply(ancestor, options.invert ? Diff.invert(parentData, diff) : diff);
+    
+    const result = await this.threeWayMerge(ancestor, source, target);
+    return { ...result, ancestorHash: options.invert ? commit.hash : parentHash || null };
+  }
+
+  /**
+   * Replay a commit, or its inverse, onto a branch as a new commit
+   * @private
+   * @param {string} rev - Commit to replay
+   * @param {string} targetBranch - Branch to replay onto
+   * @param {boolean} invert - Replay the inverse diff (revert)
+   * @param {Object} options - Options with an optional `message`
+   * @returns {Promise<Object|MergeResult>} New commit, or the conflicting merge result
+   */
+  async _replay(rev, targetBranch, invert, options) {
+    const operation = invert ? 'revert' : 'cherry-pick';
+    
+    const commitHash = await this.branch.resolve(rev);
+    const commit = await this.storage.getCommit(commitHash);
+    const targetHead = await this.branch.getBranchHead(targetBranch);
+    
+    if (!targetHead) {
+      throw new Error(`Target branch '${targetBranch}' not found`);
+    }
+    
+    const target = await this.branch.getDataAtCommit(targetHead);
+    const result = await this.replayCommit(commit, target, { invert });
+    
+    if (!result.hasConflicts && _.isEqual(result.merged, target)) {
+      throw new Error(`Nothing to ${operation}, '${targetBranch}' is unchanged by '${rev}'`);
+    }
+    
+    const mergeResult = new MergeResult(
+      this.storage,
+      this.branch,
+      rev,
       targetBranch,
-      sourceHead,
+      commitHash,
       targetHead,
-      ancestorHash,
-      result
+      result.ancestorHash,
+      {
+        ...result,
+        parents: [targetHead],
+        message: options.message || (invert ? `Revert "${commit.message}"` : commit.message),
+        operation
+      }
     );
+    
+    return result.hasConflicts ? mergeResult : mergeResult.apply();
   }
 
   /**
-   * Perform a three-way merge between objects
+   * Perform a three-way merge between objects.
+   *
+   * Arrays diffed in array mode are merged by element identity, so inserts,
+   * removals and moves on both sides combine without conflicts. Changes inside
+   * elements matched by identity key are merged recursively. Conflicts are
+   * then settled by the resolvers matching their path, or the strategy.
    * @param {Object} ancestor - Common ancestor object
    * @param {Object} source - Source object
    * @param {Object} target - Target object
-   * @returns {Promise<Object>} Merge result with merged data and conflicts
+   * @param {Object} [options] - Merge options
+   * @param {Object} [options.diff] - Diff options, defaults to the handler's
+   * @param {string|Function} [options.strategy] - Strategy for conflicts no resolver matches
+   * @param {Object} [options.resolvers] - Extra resolvers by path pattern, checked
+   *   before the registered ones
+   * @param {Object} [options.commits] - Hashes of the `ancestor`, `source` and
+   *   `target` commits, needed by the 'lww' strategy
+   * @returns {Promise<Object>} Merge result with merged data, the remaining
+   *   conflicts and the `resolved` paths with their resolver and value
+   */
+  async threeWayMerge(ancestor, source, target, options = {}) {
+    const result = this._mergeValues(
+      ancestor,
+      source,
+      target,
+      options.diff || this.diffOptions,
+      ''
+    );
+    
+    const { merged, conflicts, resolved } = await this._applyResolvers(ancestor, source, target, result, options);
+    
+    return {
+      merged,
+      hasConflicts: conflicts.length > 0,
+      conflicts,
+      resolved
+    };
+  }
+
+  /**
+   * Settle the conflicts of a merge that have a resolver
+   * @private
+   * @param {Object} ancestor - Common ancestor object
+   * @param {Object} source - Source object
+   * @param {Object} target - Target object
+   * @param {Object} result - Merged data and conflict details
+   * @param {Object} options - Merge options with strategy, resolvers and commits
+   * @returns {Promise<Object>} Merged data, remaining conflicts and resolved entries
+   */
+  async _applyResolvers(ancestor, source, target, result, options) {
+    const rules = [...Object.entries(options.resolvers || {}), ...this.resolvers];
+    const context = { branch: this.branch, commits: options.commits || null };
+    
+    let merged = result.merged;
+    const resolved = [];
+    const settled = (path) => resolved.some(entry => {
+      const relation = Path.relation(entry.path, path);
+      return relation === 'same' || relation === 'ancestor';
+    });
+    
+    for (const conflict of result.conflicts) {
+      if (settled(conflict.path)) continue;
+      
+      const match = Merge._findResolver(conflict.path, rules, options.strategy);
+      if (!match) continue;
+      
+      // Values of the conflict itself are taken from its details, as element
+      // paths of arrays merged by identity do not line up between the sides
+      const resolveAt = (path) => {
+        const at = (obj, side) => (path === conflict.path
+          ? conflict[side].value
+          : Storage.getValueAtPath(obj, path));
+        
+        return Merge.resolveConflict(match.resolver, {
+          path,
+          ancestor: at(ancestor, 'ancestor'),
+          source: at(source, 'source'),
+          target: at(target, 'target')
+        }, context);
+      };
+      
+      let path = match.path;
+      let value = await resolveAt(path);
+      
+      // A strategy that cannot settle two elements, like 'union', may still
+      // settle the array holding them
+      if (value === UNRESOLVED && match.fallback) {
+        path = Merge._arrayAncestor(conflict.path, source, target);
+        if (path) value = await resolveAt(path);
+      }
+      if (value === UNRESOLVED) continue;
+      
+      merged = value === undefined
+        ? Storage.deleteValueAtPath(merged, path)
+        : Storage.setValueAtPath(merged, path, value);
+      resolved.push({
+        path,
+        resolver: typeof match.resolver === 'function' ? 'custom' : match.resolver,
+        value
+      });
+    }
+    
+    return {
+      merged,
+      conflicts: result.conflicts.filter(conflict => !settled(conflict.path)),
+      resolved
+    };
+  }
+
+  /**
+   * Find the resolver for a conflicting path: the resolver whose pattern
+   * matches the path or its closest containing path, else the strategy
+   * @private
+   * @param {string} path - Conflicting path
+   * @param {Array<Array>} rules - Pattern and resolver pairs, by precedence
+   * @param {string|Function} [strategy] - Fallback strategy
+   * @returns {Object|null} Matched `path` and `resolver`, flagged as `fallback`
+   *   for the strategy, or null
+   */
+  static _findResolver(path, rules, strategy) {
+    const segments = Path.parse(path);
+    
+    for (let length = segments.length; length > 0; length--) {
+      const candidate = Path.stringify(segments.slice(0, length));
+      const rule = rules.find(([pattern]) => Path.matches(pattern, candidate));
+      
+      if (rule) {
+        return { path: candidate, resolver: rule[1] };
+      }
+    }
+    
+    return strategy ? { path, resolver: strategy, fallback: true } : null;
+  }
+
+  /**
+   * Find the closest path containing a conflicting path that holds an array
+   * on both sides
+   * @private
+   * @param {string} path - Conflicting path
+   * @param {*} source - Source value
+   * @param {*} target - Target value
+   * @returns {string|null} Path of the array, or null if there is none
+   */
+  static _arrayAncestor(path, source, target) {
+    const segments = Path.parse(path);
+    
+    for (let length = segments.length - 1; length > 0; length--) {
+      const candidate = Path.stringify(segments.slice(0, length));
+      if (Array.isArray(Storage.getValueAtPath(source, candidate)) &&
+          Array.isArray(Storage.getValueAtPath(target, candidate))) {
+        return candidate;
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Three-way merge of values located at a path of the merged document
+   * @private
+   * @param {*} ancestor - Common ancestor value
+   * @param {*} source - Source value
+   * @param {*} target - Target value
+   * @param {Object} diffOptions - Diff options
+   * @param {string} basePath - Path of the values within the document
+   * @returns {Object} Merged value and conflict details with document paths
    */
-  async threeWayMerge(ancestor, source, target) {
+  _mergeValues(ancestor, source, target, diffOptions, basePath) {
+    const options = { ...diffOptions, basePath };
+    
     // Calculate diffs from ancestor to both source and target
-    const sourceDiff = Diff.generate(ancestor, source);
-    const targetDiff = Diff.generate(ancestor, target);
+    let sourceDiff = Diff.generate(ancestor, source, options);
+    let targetDiff = Diff.generate(ancestor, target, options);
+    
+    // Arrays rearranged on either side are merged by element identity
+    const arrayPaths = this._mergeableArrayPaths([sourceDiff, targetDiff], ancestor, source, target);
+    sourceDiff = this._flattenArrayChanges(sourceDiff, source, arrayPaths);
+    targetDiff = this._flattenArrayChanges(targetDiff, target, arrayPaths);
     
     // Find conflicts between diffs
-    const conflicts = Diff.findConflicts(sourceDiff, targetDiff);
+    let conflicts = Diff.findConflicts(sourceDiff, targetDiff);
+    
+    // Strings both sides edited may still merge line by line
+    const texts = new Map();
+    for (const path of conflicts) {
+      const text = this._mergeText(ancestor, source, target, path, basePath);
+      if (text) texts.set(path, text);
+    }
+    conflicts = conflicts.filter(path => !texts.has(path) || texts.get(path).hasConflicts);
     
     // Create a clean diff that doesn't include conflicts
     const cleanSourceDiff = this._removeConflictingPaths(sourceDiff, conflicts);
     
     // Apply non-conflicting changes to the target
-    const mergedData = Diff.apply(target, cleanSourceDiff);
+    let mergedData = Diff.apply(target, cleanSourceDiff);
+    
+    for (const [path, text] of texts) {
+      if (!text.hasConflicts) {
+        mergedData = Storage.setValueAtPath(mergedData, path, text.merged);
+      }
+    }
     
     // Extract the actual values for conflicting paths
-    const conflictDetails = conflicts.map(path => ({
-      path,
-      ancestor: this._getValueAtPathWithParent(ancestor, path),
-      source: this._getValueAtPathWithParent(source, path),
-      target: this._getValueAtPathWithParent(target, path)
-    }));
+    const conflictDetails = conflicts.map(path => {
+      const detail = {
+        path: Path.concat(basePath, path),
+        ancestor: this._getValueAtPathWithParent(ancestor, path, basePath),
+        source: this._getValueAtPathWithParent(source, path, basePath),
+        target: this._getValueAtPathWithParent(target, path, basePath)
+      };
+      
+      // Textual conflicts come with their hunks and the text with conflict markers
+      if (texts.has(path)) {
+        detail.hunks = texts.get(path).hunks;
+        detail.markers = texts.get(path).merged;
+      }
+      
+      return detail;
+    });
     
-    return {
-      merged: mergedData,
-      hasConflicts: conflicts.length > 0,
-      conflicts: conflictDetails
+    for (const path of arrayPaths) {
+      const at = (obj) => Storage.getValueAtPath(obj, path);
+      const result = this._mergeArrays(
+        at(ancestor),
+        at(source),
+        at(target),
+        diffOptions,
+        Path.concat(basePath, path)
+      );
+      
+      mergedData = Storage.setValueAtPath(mergedData, path, result.merged);
+      conflictDetails.push(...result.conflicts);
+    }
+    
+    return { merged: mergedData, conflicts: conflictDetails };
+  }
+
+  /**
+   * Merge a conflicting string textually, if textual merging is enabled for it
+   * @private
+   * @param {*} ancestor - Common ancestor value
+   * @param {*} source - Source value
+   * @param {*} target - Target value
+   * @param {string} path - Conflicting path within the values
+   * @param {string} basePath - Path of the values within the document
+   * @returns {Object|null} Result of TextMerge.merge, or null when the values
+   *   are not strings or textual merging does not apply to the path
+   */
+  _mergeText(ancestor, source, target, path, basePath) {
+    const at = (obj) => Storage.getValueAtPath(obj, path);
+    const [base, ours, theirs] = [at(ancestor), at(target), at(source)];
+    
+    if (typeof ours !== 'string' || typeof theirs !== 'string' ||
+        (base !== undefined && typeof base !== 'string')) {
+      return null;
+    }
+    
+    const { paths = [], threshold, granularity } = this.textOptions;
+    const absolute = Path.concat(basePath, path);
+    const longest = Math.max(ours.length, theirs.length, base === undefined ? 0 : base.length);
+    
+    if (!paths.some(pattern => Path.matches(pattern, absolute)) &&
+        !(threshold !== undefined && longest >= threshold)) {
+      return null;
+    }
+    
+    return TextMerge.merge(base || '', theirs, ours, { granularity });
+  }
+
+  /**
+   * Find the outermost arrays with layout changes that are arrays on all three sides
+   * @private
+   * @param {Array<Object>} diffs - Source and target diffs
+   * @param {*} ancestor - Common ancestor value
+   * @param {*} source - Source value
+   * @param {*} target - Target value
+   * @returns {Array<string>} Array paths to merge by identity
+   */
+  _mergeableArrayPaths(diffs, ancestor, source, target) {
+    const paths = [];
+    
+    for (const diff of diffs) {
+      for (const { path } of diff.arrays || []) {
+        const isArray = (obj) => Array.isArray(Storage.getValueAtPath(obj, path));
+        
+        if (!paths.includes(path) && isArray(ancestor) && isArray(source) && isArray(target)) {
+          paths.push(path);
+        }
+      }
+    }
+    
+    return paths.filter(path => !paths.some(other =>
+      other !== path && Path.relation(other, path) === 'ancestor'));
+  }
+
+  /**
+   * Prepare a diff for path-based merging: drop changes inside arrays merged by
+   * identity, and turn remaining array operations into a replacement of the array
+   * @private
+   * @param {Object} diff - Diff to flatten
+   * @param {*} value - Value the diff leads to
+   * @param {Array<string>} arrayPaths - Arrays merged by identity
+   * @returns {Object} Diff without array operations
+   */
+  _flattenArrayChanges(diff, value, arrayPaths) {
+    const replaced = (diff.arrays || [])
+      .map(entry => entry.path)
+      .filter(path => !arrayPaths.includes(path));
+    const excluded = [...arrayPaths, ...replaced];
+    
+    const isExcluded = (path) => excluded.some(other => {
+      const relation = Path.relation(other, path);
+      return relation === 'same' || relation === 'ancestor';
+    });
+    
+    const flat = {
+      added: (diff.added || []).filter(item => !isExcluded(item.path)),
+      modified: (diff.modified || []).filter(item => !isExcluded(item.path)),
+      deleted: (diff.deleted || []).filter(path => !isExcluded(path)),
+      arrays: []
     };
+    
+    for (const path of replaced) {
+      if (!replaced.some(other => other !== path && Path.relation(other, path) === 'ancestor')) {
+        flat.modified.push({
+          path,
+          value: Storage.getValueAtPath(value, path)
+        });
+      }
+    }
+    
+    return flat;
+  }
+
+  /**
+   * Three-way merge of arrays by element identity
+   * @private
+   * @param {Array} ancestor - Common ancestor array
+   * @param {Array} source - Source array
+   * @param {Array} target - Target array
+   * @param {Object} diffOptions - Diff options
+   * @param {string} path - Path of the array within the document
+   * @returns {Object} Merged array and conflict details
+   */
+  _mergeArrays(ancestor, source, target, diffOptions, path) {
+    const identity = Diff.getArrayIdentity(path, diffOptions);
+    const sourceMatch = Diff.matchArrays(ancestor, source, identity.of);
+    const targetMatch = Diff.matchArrays(ancestor, target, identity.of);
+    
+    const invert = (pairs) => new Map([...pairs].map(([from, to]) => [to, from]));
+    const ancestorOfSource = invert(sourceMatch.pairs);
+    const ancestorOfTarget = invert(targetMatch.pairs);
+    
+    // Removing an element the other side changed cannot be merged element-wise
+    const changed = (side, match, index) =>
+      !_.isEqual(ancestor[index], side[match.pairs.get(index)]);
+    
+    for (let index = 0; index < ancestor.length; index++) {
+      const inSource = sourceMatch.pairs.has(index);
+      const inTarget = targetMatch.pairs.has(index);
+      
+      if ((!inSource && inTarget && changed(target, targetMatch, index)) ||
+          (!inTarget && inSource && changed(source, sourceMatch, index))) {
+        return {
+          merged: target,
+          conflicts: [{
+            path,
+            ancestor: this._getValueAtPathWithParent(ancestor, '.', path),
+            source: this._getValueAtPathWithParent(source, '.', path),
+            target: this._getValueAtPathWithParent(target, '.', path)
+          }]
+        };
+      }
+    }
+    
+    // Start from the target layout, without elements the source removed
+    let slots = target.map((value, targetIndex) => ({
+      ancestorIndex: ancestorOfTarget.get(targetIndex),
+      targetIndex,
+      sourceIndex: undefined
+    })).filter(slot =>
+      slot.ancestorIndex === undefined || sourceMatch.pairs.has(slot.ancestorIndex));
+    
+    // Replay source inserts and moves after the element preceding them in the source
+    let previous = null;
+    const placeAfter = (slot) => {
+      slots = slots.filter(other => other !== slot);
+      slots.splice(previous ? slots.indexOf(previous) + 1 : 0, 0, slot);
+    };
+    
+    for (let sourceIndex = 0; sourceIndex < source.length; sourceIndex++) {
+      const ancestorIndex = ancestorOfSource.get(sourceIndex);
+      let slot;
+      
+      if (ancestorIndex !== undefined) {
+        slot = slots.find(other => other.ancestorIndex === ancestorIndex);
+        if (!slot) continue; // removed by the target
+        
+        // Only follow the source's move if the target left the element in place
+        if (!sourceMatch.stable.has(ancestorIndex) && targetMatch.stable.has(ancestorIndex)) {
+          placeAfter(slot);
+        }
+      } else {
+        // Both sides may have inserted the same element
+        const id = identity.of(source[sourceIndex]);
+        slot = slots.find(other => other.ancestorIndex === undefined &&
+          other.targetIndex !== undefined &&
+          other.sourceIndex === undefined &&
+          identity.of(target[other.targetIndex]) === id);
+        
+        if (!slot) {
+          slot = { ancestorIndex: undefined, targetIndex: undefined, sourceIndex };
+          placeAfter(slot);
+        }
+      }
+      
+      slot.sourceIndex = sourceIndex;
+      previous = slot;
+    }
+    
+    // Merge element contents
+    const merged = [];
+    const conflicts = [];
+    
+    slots.forEach((slot, index) => {
+      const elementPath = Path.join(path, index);
+      const sourceValue = slot.sourceIndex === undefined ? undefined : source[slot.sourceIndex];
+      const targetValue = slot.targetIndex === undefined ? undefined : target[slot.targetIndex];
+      
+      if (slot.targetIndex === undefined) {
+        merged.push(sourceValue);
+      } else if (slot.sourceIndex === undefined || _.isEqual(sourceValue, targetValue)) {
+        merged.push(targetValue);
+      } else {
+        const ancestorValue = slot.ancestorIndex === undefined ? undefined : ancestor[slot.ancestorIndex];
+        const result = this._mergeValues(ancestorValue, sourceValue, targetValue, diffOptions, elementPath);
+        
+        merged.push(result.merged);
+        conflicts.push(...result.conflicts);
+      }
+    });
+    
+    return { merged, conflicts };
   }
 
   /**
@@ -164,22 +932,20 @@ class Merge {
     const clean = {
       added: [],
       modified: [],
-      deleted: []
+      deleted: [],
+      arrays: []
     };
     
     // Helper to check if a path is conflicting or is a child of a conflicting path
     const isConflicting = (path) => {
-      return conflicts.some(conflictPath => {
-        return path === conflictPath || 
-               path.startsWith(`${conflictPath}.`) || 
-               conflictPath.startsWith(`${path}.`);
-      });
+      return conflicts.some(conflictPath => Path.overlaps(conflictPath, path));
     };
     
     // Filter out conflicting paths
     clean.added = (diff.added || []).filter(item => !isConflicting(item.path));
     clean.modified = (diff.modified || []).filter(item => !isConflicting(item.path));
     clean.deleted = (diff.deleted || []).filter(path => !isConflicting(path));
+    clean.arrays = (diff.arrays || []).filter(entry => !isConflicting(entry.path));
     
     return clean;
   }
@@ -189,24 +955,26 @@ class Merge {
    * @private
    * @param {Object} obj - Object to get value from
    * @param {string} path - Path to the value
+   * @param {string} [basePath=''] - Path of the object within the document
    * @returns {Object} Object with value and parent information
    */
-  _getValueAtPathWithParent(obj, path) {
-    const value = Storage.getValueAtPath(obj, path);
+  _getValueAtPathWithParent(obj, path, basePath = '') {
+    const segments = Path.parse(path);
+    const absolute = Path.parse(Path.concat(basePath, path));
     
-    // Also get the parent object to help with conflict resolution
-    const lastDotIndex = path.lastIndexOf('.');
-    let parentPath = null;
-    let key = path;
-    
-    if (lastDotIndex >= 0) {
-      parentPath = path.substring(0, lastDotIndex);
-      key = path.substring(lastDotIndex + 1);
-    }
+    const value = Storage.getValueAtPath(obj, segments);
     
-    const parent = parentPath ? Storage.getValueAtPath(obj, parentPath) : obj;
+    // Also get the parent object to help with conflict resolution
+    const parent = segments.length > 0
+      ? Storage.getValueAtPath(obj, segments.slice(0, -1))
+      : null;
     
-    return { value, parentPath, key, parent };
+    return {
+      value,
+      parentPath: absolute.length > 1 ? Path.stringify(absolute.slice(0, -1)) : null,
+      key: absolute.length > 0 ? absolute[absolute.length - 1] : null,
+      parent
+    };
   }
 }
 
@@ -223,7 +991,9 @@ class MergeResult {
    * @param {string} sourceHead - Source branch head commit hash
    * @param {string} targetHead - Target branch head commit hash
    * @param {string} ancestorHash - Common ancestor commit hash
-   * @param {Object} result - Merge operation result
+   * @param {Object} result - Merge operation result, optionally with the
+   *   `parents`, default `message` and reflog `operation` of the commit to create
+   *   (a merge commit of both heads by default)
    */
   constructor(
     storage,
@@ -245,6 +1015,14 @@ class MergeResult {
     this.mergedData = result.merged;
     this.conflicts = result.conflicts;
     this.hasConflicts = result.hasConflicts;
+    this.resolved = result.resolved || [];
+    this.upToDate = Boolean(result.upToDate);
+    this.fastForward = Boolean(result.fastForward);
+    this.parents = result.parents || [targetHead, sourceHead];
+    this.message = result.message || `Merge branch '${sourceBranch}' into ${targetBranch}`;
+    this.operation = result.operation || 'merge';
+    this.resolutions = {};
+    this.state = null;
     this.applied = false;
   }
 
@@ -265,44 +1043,149 @@ class MergeResult {
   }
 
   /**
-   * Apply the merge with automatic conflict resolution
-   * @param {Object} resolutions - Object mapping conflict paths to their resolved values
+   * Get the conflicts no resolution has been recorded for
+   * @returns {Array<Object>} Array of conflict details
+   */
+  getUnresolvedConflicts() {
+    return this.conflicts.filter(conflict =>
+      !Object.prototype.hasOwnProperty.call(this.resolutions, conflict.path));
+  }
+
+  /**
+   * Record the resolution of one conflict. For a merge in progress the
+   * resolution is stored right away, so it survives a reload.
+   * @param {string} path - Conflict path
+   * @param {*} value - Resolved value
+   * @returns {Promise<void>}
+   * @throws {RefConflictError} If the stored merge state changed in the meantime
+   */
+  async setResolution(path, value) {
+    if (this.applied) {
+      throw new Error('Merge has already been applied');
+    }
+    
+    if (!this.conflicts.some(conflict => conflict.path === path)) {
+      throw new Error(`No conflict at '${path}'`);
+    }
+    
+    this.resolutions = { ...this.resolutions, [path]: value };
+    if (this.state) {
+      await this._save();
+    }
+  }
+
+  /**
+   * Apply the merge with its conflicts resolved. Every conflict needs a
+   * resolution, given here or recorded with setResolution().
+   * @param {Object|string|Function} resolutions - Object mapping conflict paths (in
+   *   the escaped format of path.js) to their resolved values, or a strategy
+   *   applied to every conflict (see Merge#registerResolver)
+   *   Resolutions recorded with setResolution() are included.
    * @param {string} [message] - Optional commit message
    * @returns {Promise<Object>} Commit object
+   * @throws {Error} If a resolution is not for a conflict path, or a conflict has none
+   * @throws {RefConflictError} If the target branch moved since the merge was computed
    */
   async resolveWith(resolutions, message) {
     if (this.applied) {
       throw new Error('Merge has already been applied');
     }
     
-    if (this.hasConflicts && !resolutions) {
+    if (typeof resolutions === 'string' || typeof resolutions === 'function') {
+      resolutions = await this._resolveAll(resolutions);
+    }
+    
+    const paths = this.conflicts.map(conflict => conflict.path);
+    for (const path of Object.keys(resolutions || {})) {
+      if (!paths.includes(path)) {
+        throw new Error(`No conflict at '${path}'`);
+      }
+    }
+    resolutions = { ...this.resolutions, ...resolutions };
+    if (paths.some(path => !Object.prototype.hasOwnProperty.call(resolutions, path))) {
       throw new Error('Cannot apply merge with unresolved conflicts');
     }
     
+    // Nothing to merge, the target already contains the source
+    if (this.upToDate) {
+      this.applied = true;
+      return this.storage.getCommit(this.targetHead);
+    }
+    
+    // Move the target ref to the source head without a merge commit
+    if (this.fastForward) {
+      await this.storage.writeBatch({
+        refs: [{
+          name: `branch/${this.targetBranch}`,
+          value: this.sourceHead,
+          expected: this.targetHead,
+          log: { operation: 'merge', message: `Fast-forward to ${this.sourceBranch}`, author: this.branch.author }
+        }]
+      });
+      this.applied = true;
+      return this.storage.getCommit(this.sourceHead);
+    }
+    
     // Apply resolutions to the merged data
     let finalData = this.mergedData;
     
-    if (resolutions) {
-      for (const [path, value] of Object.entries(resolutions)) {
-        finalData = Storage.setValueAtPath(finalData, path, value);
-      }
+    for (const [path, value] of Object.entries(resolutions)) {
+      finalData = Storage.setValueAtPath(finalData, path, value);
     }
     
-    // Commit the merged data to the target branch
-    const commitMessage = message || `Merge branch '${this.sourceBranch}' into ${this.targetBranch}`;
-    const commit = await this.branch.commit(this.targetBranch, finalData, commitMessage);
+    // Commit the merged data to the target branch, recording both heads as
+    // parents, and end the merge in progress with the same write
+    const commit = await this.branch.commit(this.targetBranch, finalData, message || this.message, {
+      parents: this.parents,
+      expectedHead: this.targetHead,
+      operation: this.operation,
+      force: Boolean(this.state),
+      refs: this.state ? [{ name: MergeState.REF, value: null, expected: this.state.hash }] : []
+    });
     
     this.applied = true;
     return commit;
   }
 
   /**
-   * Apply merge without conflict resolution (only works if no conflicts)
+   * Resolve every conflict with one strategy
+   * @private
+   * @param {string|Function} strategy - Strategy name or resolver function
+   * @returns {Promise<Object>} Resolutions by conflict path
+   * @throws {Error} If the strategy cannot resolve one of the conflicts
+   */
+  async _resolveAll(strategy) {
+    const context = {
+      branch: this.branch,
+      commits: { ancestor: this.ancestorHash, source: this.sourceHead, target: this.targetHead }
+    };
+    
+    const resolutions = {};
+    for (const conflict of this.getUnresolvedConflicts()) {
+      const value = await Merge.resolveConflict(strategy, {
+        path: conflict.path,
+        ancestor: conflict.ancestor.value,
+        source: conflict.source.value,
+        target: conflict.target.value
+      }, context);
+      
+      if (value === UNRESOLVED) {
+        throw new Error(`Strategy '${typeof strategy === 'function' ? 'custom' : strategy}' cannot resolve the conflict at '${conflict.path}'`);
+      }
+      resolutions[conflict.path] = value;
+    }
+    
+    return resolutions;
+  }
+
+  /**
+   * Apply merge without further resolutions (only works when every conflict
+   * has a resolution recorded with setResolution())
    * @param {string} [message] - Optional commit message
    * @returns {Promise<Object>} Commit object
    */
   async apply(message) {
-    if (this.hasConflicts) {
+    if (this.getUnresolvedConflicts().length > 0) {
       throw new Error('Cannot apply merge with unresolved conflicts');
     }
     
@@ -310,17 +1193,69 @@ class MergeResult {
   }
 
   /**
-   * Abort the merge operation
+   * Abort the merge operation, discarding a merge in progress
    * @returns {Promise<void>}
+   * @throws {RefConflictError} If the stored merge state changed in the meantime
    */
   async abort() {
     if (this.applied) {
       throw new Error('Cannot abort merge that has already been applied');
     }
     
-    // Nothing to do since we haven't modified anything yet
+    // Branches are only written when the merge is applied, so only the
+    // record of a merge in progress needs removing
+    if (this.state) {
+      await this.storage.writeBatch({
+        refs: [{ name: MergeState.REF, value: null, expected: this.state.hash }]
+      });
+    }
+    
     this.applied = true;
   }
+
+  /**
+   * Keep track of the stored state of a merge in progress
+   * @private
+   * @param {Object} state - Stored merge state, or the merge options of a new one
+   */
+  _track(state) {
+    // Resolver functions cannot be stored, only strategy names
+    const named = (resolver) => typeof resolver === 'string';
+    
+    this.state = {
+      hash: state.hash || null,
+      strategy: named(state.strategy) ? state.strategy : null,
+      resolvers: _.pickBy(state.resolvers || {}, named),
+      timestamp: state.timestamp || Date.now()
+    };
+    this.resolutions = state.resolutions || this.resolutions;
+  }
+
+  /**
+   * Store the state of the merge in progress under MERGE_HEAD
+   * @private
+   * @returns {Promise<void>}
+   * @throws {RefConflictError} If the stored state changed, or another merge started
+   */
+  async _save() {
+    const { hash, ...data } = MergeState.create({
+      sourceBranch: this.sourceBranch,
+      targetBranch: this.targetBranch,
+      sourceHead: this.sourceHead,
+      targetHead: this.targetHead,
+      ancestorHash: this.ancestorHash,
+      strategy: this.state.strategy,
+      resolvers: this.state.resolvers,
+      resolutions: this.resolutions,
+      timestamp: this.state.timestamp
+    });
+    
+    await this.storage.writeBatch({
+      objects: [{ hash, data }],
+      refs: [{ name: MergeState.REF, value: hash, expected: this.state.hash }]
+    });
+    this.state.hash = hash;
+  }
 }
 
 module.exports = { Merge, MergeResult };
\ No newline at end of file
@@ -0,0 +1,91 @@
+const { hashObject } = require('./hash');
+
+/**
+ * Helpers for the record of a merge in progress.
+ *
+ * A merge that stops at conflicts is recorded as a merge state object in the
+ * object store, referenced by the `MERGE_HEAD` ref until the merge is
+ * committed or aborted. The state holds what is needed to compute the merge
+ * again, plus the resolutions given so far, so resolving can continue after
+ * a reload.
+ */
+class MergeState {
+  /**
+   * Name of the ref pointing at the merge in progress
+   * @returns {string} Ref name
+   */
+  static get REF() {
+    return 'MERGE_HEAD';
+  }
+
+  /**
+   * Create a merge state object with its hash filled in
+   * @param {Object} fields - State fields
+   * @param {string} fields.sourceBranch - Branch or revision being merged
+   * @param {string} fields.targetBranch - Branch being merged into
+   * @param {string} fields.sourceHead - Source commit
+   * @param {string} fields.targetHead - Target commit
+   * @param {string} fields.ancestorHash - Merge base
+   * @param {string|null} [fields.strategy=null] - Strategy name used for the merge
+   * @param {Object} [fields.resolvers={}] - Strategy names by path pattern used for the merge
+   * @param {Object} [fields.resolutions={}] - Resolved values by conflict path
+   * @param {number} [fields.timestamp=Date.now()] - Time the merge started
+   * @returns {Object} Merge state object
+   */
+  static create({
+    sourceBranch,
+    targetBranch,
+    sourceHead,
+    targetHead,
+    ancestorHash,
+    strategy = null,
+    resolvers = {},
+    resolutions = {},
+    timestamp = Date.now()
+  }) {
+    const state = {
+      type: 'merge',
+      sourceBranch,
+      targetBranch,
+      sourceHead,
+      targetHead,
+      ancestorHash,
+      strategy,
+      resolvers,
+      resolutions,
+      timestamp
+    };
+    state.hash = MergeState.hash(state);
+    return state;
+  }
+
+  /**
+   * Compute the hash identifying a merge state object
+   * @param {Object} state - Merge state object
+   * @returns {string} State hash
+   */
+  static hash(state) {
+    return hashObject('merge', {
+      sourceBranch: state.sourceBranch,
+      targetBranch: state.targetBranch,
+      sourceHead: state.sourceHead,
+      targetHead: state.targetHead,
+      ancestorHash: state.ancestorHash,
+      strategy: state.strategy,
+      resolvers: state.resolvers,
+      resolutions: state.resolutions,
+      timestamp: state.timestamp
+    });
+  }
+
+  /**
+   * Check whether a stored object is a merge state
+   * @param {*} object - Stored object
+   * @returns {boolean} True for merge state objects
+   */
+  static isMergeState(object) {
+    return Boolean(object) && object.type === 'merge';
+  }
+}
+
+module.exports = MergeState;
@@ -1,5 +1,6 @@
 const CryptoJS = require('crypto-js');
 const _ = require('lodash');
+const Path = require('./path');
 
 /**
  * MerkleTree implementation for content-addressable storage
@@ -14,7 +15,7 @@ class MerkleTree {
   static fromObject(data) {
     if (data === null || data === undefined) {
       return {
-        hash: MerkleTree.hashData(null),
+        hash: MerkleTree.hashNode({ type: 'null', value: null }),
         value: null,
         type: 'null'
       };
@@ -25,7 +26,7 @@ class MerkleTree {
     // Handle primitive types directly
     if (type !== 'object' && type !== 'array') {
       return {
-        hash: MerkleTree.hashData(data),
+        hash: MerkleTree.hashNode({ type, value: data }),
         value: data,
         type
       };
@@ -39,13 +40,13 @@ class MerkleTree {
       children[key] = MerkleTree.fromObject(data[key]);
     }
     
-    // Calculate hash based on children's hashes
+    // Calculate hash based on the type and the children's hashes
     const childrenHashes = {};
     for (const key of keys) {
       childrenHashes[key] = children[key].hash;
     }
     
-    const hash = MerkleTree.hashData(childrenHashes);
+    const hash = MerkleTree.hashNode({ type, children: childrenHashes });
     
     return {
       hash,
@@ -89,6 +90,20 @@ class MerkleTree {
     return CryptoJS.SHA256(json).toString();
   }
 
+  /**
+   * Hash a node as it is stored: its type with either its value or the
+   * hashes of its children. The type is part of the hash, so an empty
+   * object and an empty array, or `{0: 'a'}` and `['a']`, never share a node.
+   * @param {Object} node - Node with `type` and `value`, or `type` and
+   *   `children` mapping keys to child hashes
+   * @returns {string} Hash of the node
+   */
+  static hashNode(node) {
+    return node.children
+      ? MerkleTree.hashData({ type: node.type, children: node.children })
+      : MerkleTree.hashData({ type: node.type, value: node.value });
+  }
+
   /**
    * Compare two trees and return paths to differences
    * @param {Object} oldTree - Previous Merkle tree
@@ -144,14 +159,14 @@ class MerkleTree {
     // Find deleted keys
     for (const key of oldKeys) {
       if (!newKeys.includes(key)) {
-        const path = basePath ? `${basePath}.${key}` : key;
+        const path = Path.join(basePath, key);
         result.deleted.push(path);
       }
     }
     
     // Find added and modified keys
     for (const key of newKeys) {
-      const path = basePath ? `${basePath}.${key}` : key;
+      const path = Path.join(basePath, key);
       
       if (!oldKeys.includes(key)) {
         result.added.push(path);
@@ -177,6 +192,75 @@ class MerkleTree {
     return result;
   }
 
+  /**
+   * Compare two stored trees, the same way as diff(). Only nodes whose hashes
+   * differ are loaded, so identical subtrees are skipped without reading them.
+   * @param {Object} storage - Storage instance
+   * @param {string|null} oldHash - Hash of the previous tree, null if absent
+   * @param {string|null} newHash - Hash of the new tree, null if absent
+   * @param {string} [basePath=''] - Path of the compared trees
+   * @returns {Promise<Object>} Object with added, modified, and deleted paths;
+   *   added and modified entries are `{path, hash}` with the hash of the new node
+   */
+  static async diffStored(storage, oldHash, newHash, basePath = '') {
+    const result = {
+      added: [],
+      modified: [],
+      deleted: []
+    };
+    
+    if (oldHash === newHash) {
+      return result;
+    }
+    
+    if (!oldHash) {
+      result.added.push({ path: basePath || '.', hash: newHash });
+      return result;
+    }
+    
+    if (!newHash) {
+      result.deleted.push(basePath || '.');
+      return result;
+    }
+    
+    const [oldNode, newNode] = await Promise.all([storage.get(oldHash), storage.get(newHash)]);
+    if (!oldNode || !newNode) {
+      throw new Error(`Node with hash ${oldNode ? newHash : oldHash} not found in storage`);
+    }
+    
+    // Primitives and type changes replace the whole value
+    if (!oldNode.children || !newNode.children || oldNode.type !== newNode.type) {
+      result.modified.push({ path: basePath || '.', hash: newHash });
+      return result;
+    }
+    
+    const oldKeys = Object.keys(oldNode.children);
+    const newKeys = Object.keys(newNode.children);
+    
+    for (const key of oldKeys) {
+      if (!Object.prototype.hasOwnProperty.call(newNode.children, key)) {
+        result.deleted.push(Path.join(basePath, key));
+      }
+    }
+    
+    for (const key of newKeys) {
+      const path = Path.join(basePath, key);
+      
+      if (!Object.prototype.hasOwnProperty.call(oldNode.children, key)) {
+        result.added.push({ path, hash: newNode.children[key] });
+      } else if (oldNode.children[key] !== newNode.children[key]) {
+        const childDiff = await MerkleTree.diffStored(
+          storage, oldNode.children[key], newNode.children[key], path);
+        
+        result.added.push(...childDiff.added);
+        result.modified.push(...childDiff.modified);
+        result.deleted.push(...childDiff.deleted);
+      }
+    }
+    
+    return result;
+  }
+
   /**
    * Find the lowest common ancestor of multiple paths
    * @param {Array<string>} paths - Array of paths
@@ -187,7 +271,7 @@ class MerkleTree {
     if (paths.length === 1) return paths[0];
     
     // Split paths into segments
-    const segments = paths.map(path => path.split('.'));
+    const segments = paths.map(path => Path.parse(path));
     
     // Find the minimum length
     const minLength = Math.min(...segments.map(s => s.length));
@@ -203,37 +287,88 @@ class MerkleTree {
       }
     }
     
-    return commonPrefix.join('.');
+    return Path.stringify(commonPrefix);
   }
 
   /**
-   * Store a Merkle tree in the storage layer
+   * Store a Merkle tree in the storage layer. Subtrees whose hash is already
+   * stored are skipped, since content addressing guarantees they are identical,
+   * and all new nodes are written in a single transaction.
    * @param {Object} storage - Storage instance
    * @param {Object} tree - Merkle tree to store
    * @returns {Promise<string>} Root hash of the stored tree
    */
   static async storeTree(storage, tree) {
-    // For primitive types, store directly
-    if (tree.type !== 'object' && tree.type !== 'array') {
-      await storage.put({ type: tree.type, value: tree.value }, tree.hash);
-      return tree.hash;
-    }
+    await storage.putMany(await MerkleTree.collectNewNodes(storage, tree));
+    return tree.hash;
+  }
+
+  /**
+   * Collect the nodes of a Merkle tree that are not stored yet, checking one
+   * level of the tree at a time
+   * @param {Object} storage - Storage instance
+   * @param {Object} tree - Merkle tree
+   * @returns {Promise<Array<Object>>} Storage entries with hash and node data
+   */
+  static async collectNewNodes(storage, tree) {
+    const entries = [];
+    const seen = new Set([tree.hash]);
+    let level = [tree];
     
-    // For objects and arrays, store children recursively first
-    const storedChildren = {};
-    for (const key of Object.keys(tree.children || {})) {
-      storedChildren[key] = await MerkleTree.storeTree(storage, tree.children[key]);
+    while (level.length > 0) {
+      const existing = await storage.existsMany(level.map(node => node.hash));
+      const next = [];
+      
+      for (const node of level) {
+        if (existing.has(node.hash)) continue;
+        
+        // For primitive types, store the value directly
+        if (node.type !== 'object' && node.type !== 'array') {
+          entries.push({ hash: node.hash, data: { type: node.type, value: node.value } });
+          continue;
+        }
+        
+        // For objects and arrays, store references to children
+        const children = {};
+        for (const key of Object.keys(node.children || {})) {
+          const child = node.children[key];
+          children[key] = child.hash;
+          
+          if (!seen.has(child.hash)) {
+            seen.add(child.hash);
+            next.push(child);
+          }
+        }
+        
+        entries.push({ hash: node.hash, data: { type: node.type, children } });
+      }
+      
+      level = next;
     }
     
-    // Store this node with references to children
-    const node = {
-      type: tree.type,
-      children: storedChildren
-    };
+    return entries;
+  }
+
+  /**
+   * Find the hash of the stored node at a path without loading the rest of the tree
+   * @param {Object} storage - Storage instance
+   * @param {string} rootHash - Root hash of the tree
+   * @param {string|Array<string>} path - Path to the node
+   * @returns {Promise<string|null>} Hash of the node or null if the path does not exist
+   */
+  static async getHashAtPath(storage, rootHash, path) {
+    let hash = rootHash;
+    const segments = Path.parse(path);
     
-    // Store directly with the hash as the key
-    await storage.put(node, tree.hash);
-    return tree.hash;
+    for (const segment of segments) {
+      const node = await storage.get(hash);
+      if (!node || !node.children || !Object.prototype.hasOwnProperty.call(node.children, segment)) {
+        return null;
+      }
+      hash = node.children[segment];
+    }
+    
+    return hash;
   }
 
   /**
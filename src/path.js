@@ -0,0 +1,161 @@
+/**
+ * Canonical path representation shared by diffs, merges and storage.
+ *
+ * A path is a string of keys joined with `.`, where a literal `.` or `\` inside
+ * a key is escaped with a backslash (`'example\.com.enabled'` is the key
+ * `example.com` followed by `enabled`). The document root is `'.'`, and an
+ * empty string is accepted for it as well. Anywhere a path is accepted, an
+ * array of raw keys may be passed instead.
+ */
+class Path {
+  /**
+   * Path of the document root
+   * @returns {string} Root path
+   */
+  static get ROOT() {
+    return '.';
+  }
+
+  /**
+   * Split a path into its raw keys
+   * @param {string|Array<string|number>} path - Path string or array of keys
+   * @returns {Array<string>} Path segments
+   */
+  static parse(path) {
+    if (Array.isArray(path)) {
+      return path.map(String);
+    }
+
+    if (path === undefined || path === null || path === '' || path === '.') {
+      return [];
+    }
+
+    if (typeof path !== 'string') {
+      return [String(path)];
+    }
+
+    const segments = [];
+    let current = '';
+
+    for (let i = 0; i < path.length; i++) {
+      const char = path[i];
+
+      if (char === '\\' && i + 1 < path.length) {
+        current += path[++i];
+      } else if (char === '.') {
+        segments.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+
+    segments.push(current);
+    return segments;
+  }
+
+  /**
+   * Build a path string from raw keys
+   * @param {Array<string|number>} segments - Path segments
+   * @returns {string} Escaped path, '.' for the root
+   */
+  static stringify(segments) {
+    if (segments.length === 0) return Path.ROOT;
+    return segments.map(Path.escape).join('.');
+  }
+
+  /**
+   * Escape a single key for use in a path string
+   * @param {string|number} key - Raw key
+   * @returns {string} Escaped key
+   */
+  static escape(key) {
+    return String(key).replace(/[\\.]/g, match => `\\${match}`);
+  }
+
+  /**
+   * Append raw keys to a path
+   * @param {string|Array<string>} path - Base path
+   * @param {...(string|number)} keys - Raw keys to append
+   * @returns {string} Joined path
+   */
+  static join(path, ...keys) {
+    return Path.stringify([...Path.parse(path), ...keys.map(String)]);
+  }
+
+  /**
+   * Append a relative path to a base path
+   * @param {string|Array<string>} base - Base path
+   * @param {string|Array<string>} relative - Path relative to the base
+   * @returns {string} Combined path
+   */
+  static concat(base, relative) {
+    return Path.stringify([...Path.parse(base), ...Path.parse(relative)]);
+  }
+
+  /**
+   * Check whether a path denotes the document root
+   * @param {string|Array<string>} path - Path to check
+   * @returns {boolean} True for the root path
+   */
+  static isRoot(path) {
+    return Path.parse(path).length === 0;
+  }
+
+  /**
+   * Get the path of the parent of a path
+   * @param {string|Array<string>} path - Path
+   * @returns {string|null} Parent path, or null for the root
+   */
+  static parent(path) {
+    const segments = Path.parse(path);
+    return segments.length === 0 ? null : Path.stringify(segments.slice(0, -1));
+  }
+
+  /**
+   * Determine how two paths relate to each other
+   * @param {string|Array<string>} pathA - First path
+   * @param {string|Array<string>} pathB - Second path
+   * @returns {string|null} 'same', 'ancestor' (A contains B), 'descendant'
+   *   (B contains A) or null when the paths are unrelated
+   */
+  static relation(pathA, pathB) {
+    const a = Path.parse(pathA);
+    const b = Path.parse(pathB);
+    const length = Math.min(a.length, b.length);
+
+    for (let i = 0; i < length; i++) {
+      if (a[i] !== b[i]) return null;
+    }
+
+    if (a.length === b.length) return 'same';
+    return a.length < b.length ? 'ancestor' : 'descendant';
+  }
+
+  /**
+   * Check whether a path matches a pattern, where a `*` key (or `[*]`)
+   * matches any single key
+   * @param {string} pattern - Path pattern like `'counters.*'` or `'users[*].name'`
+   * @param {string|Array<string>} path - Path to check
+   * @returns {boolean} True if the path matches
+   */
+  static matches(pattern, path) {
+    const expected = Path.parse(pattern.replace(/\[\*\]/g, '.*'));
+    const segments = Path.parse(path);
+
+    return expected.length === segments.length &&
+      expected.every((segment, i) => segment === '*' || segment === segments[i]);
+  }
+
+  /**
+   * Check whether two paths are the same or one contains the other
+   * @param {string|Array<string>} pathA - First path
+   * @param {string|Array<string>} pathB - Second path
+   * @returns {boolean} True if the paths overlap
+   */
+  static overlaps(pathA, pathB) {
+    return Path.relation(pathA, pathB) !== null;
+  }
+}
+
+module.exports = Path;
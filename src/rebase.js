@@ -0,0 +1,255 @@
+const _ = require('lodash');
+const MerkleTree = require('./merkle');
+const Commit = require('./commit');
+const Storage = require('./storage');
+
+/**
+ * Replays the commits of a branch on top of another revision.
+ *
+ * Every commit made on the branch since it diverged is applied in order with
+ * the three-way merge, so the branch ends up with a linear history on top of
+ * the new base instead of a merge commit. Merge commits on the branch are
+ * left out, and commits whose change is already on the new base are dropped.
+ * Rewritten commits keep their author and message.
+ */
+class Rebase {
+  /**
+   * Create a rebase manager
+   * @param {Object} storage - Storage instance
+   * @param {Object} branch - Branch manager
+   * @param {Object} merge - Merge handler used to replay commits
+   */
+  constructor(storage, branch, merge) {
+    this.storage = storage;
+    this.branch = branch;
+    this.merge = merge;
+  }
+
+  /**
+   * Rebase a branch, stopping at the first commit that conflicts
+   * @param {string} branchName - Branch to rebase
+   * @param {string} onto - Revision to replay the branch on
+   * @returns {Promise<RebaseState>} State of the rebase, either `done` or
+   *   paused with the conflicts of the current commit
+   * @throws {RefConflictError} If the branch moved while it was rebased
+   */
+  async start(branchName, onto) {
+    const originalHead = await this.branch.getBranchHead(branchName);
+    if (!originalHead) {
+      throw new Error(`Branch '${branchName}' not found`);
+    }
+    
+    const ontoHead = await this.branch.resolve(onto);
+    const state = new RebaseState(this, branchName, onto, originalHead, ontoHead);
+    
+    // Nothing to do when the new base is already part of the branch
+    if (await this.merge.findMergeBase(originalHead, ontoHead) === ontoHead) {
+      state.done = true;
+      state.upToDate = true;
+      return state;
+    }
+    
+    // Commits only the branch has, oldest first
+    const exclude = await this.branch.getAncestors(ontoHead);
+    for await (const commit of this.branch.walkCommits([originalHead], { exclude })) {
+      if ((commit.parents || []).length <= 1) state.remaining.unshift(commit);
+    }
+    
+    return state._run();
+  }
+}
+
+/**
+ * A rebase in progress. Replayed commits are stored as they go, but the
+ * branch ref only moves once the last commit is replayed, so aborting leaves
+ * the branch untouched.
+ */
+class RebaseState {
+  /**
+   * Create a rebase state
+   * @param {Rebase} rebase - Rebase manager
+   * @param {string} branchName - Branch being rebased
+   * @param {string} onto - Revision the branch is replayed on
+   * @param {string} originalHead - Head of the branch when the rebase started
+   * @param {string} ontoHead - Commit the branch is replayed on
+   */
+  constructor(rebase, branchName, onto, originalHead, ontoHead) {
+    this.storage = rebase.storage;
+    this.branch = rebase.branch;
+    this.merge = rebase.merge;
+    this.branchName = branchName;
+    this.onto = onto;
+    this.originalHead = originalHead;
+    this.ontoHead = ontoHead;
+    this.head = ontoHead;
+    this.remaining = [];
+    this.current = null;
+    this.mergedData = null;
+    this.conflicts = [];
+    this.hasConflicts = false;
+    this.replayed = [];
+    this.skipped = [];
+    this.upToDate = false;
+    this.done = false;
+    this.aborted = false;
+  }
+
+  /**
+   * Get the conflicts of the commit the rebase stopped at
+   * @returns {Array<Object>} Conflict details, as in MergeResult
+   */
+  getConflicts() {
+    return this.conflicts;
+  }
+
+  /**
+   * Commit the current commit with its conflicts resolved and carry on
+   * @param {Object} resolutions - Object mapping every conflict path to its resolved value
+   * @returns {Promise<RebaseState>} This state, done or stopped at the next conflict
+   * @throws {Error} If a resolution is not for a conflict path, or a conflict has none
+   */
+  async continue(resolutions = {}) {
+    this._ensurePaused();
+    
+    const paths = this.conflicts.map(conflict => conflict.path);
+    for (const path of Object.keys(resolutions)) {
+      if (!paths.includes(path)) {
+        throw new Error(`No conflict at '${path}'`);
+      }
+    }
+    if (paths.some(path => !Object.prototype.hasOwnProperty.call(resolutions, path))) {
+      throw new Error('Cannot continue rebase with unresolved conflicts');
+    }
+    
+    let data = this.mergedData;
+    for (const [path, value] of Object.entries(resolutions)) {
+      data = Storage.setValueAtPath(data, path, value);
+    }
+    
+    await this._commit(this.current, data);
+    this._clearConflict();
+    return this._run();
+  }
+
+  /**
+   * Leave the current commit out and carry on
+   * @returns {Promise<RebaseState>} This state, done or stopped at the next conflict
+   */
+  async skip() {
+    this._ensurePaused();
+    
+    this.skipped.push(this.current.hash);
+    this._clearConflict();
+    return this._run();
+  }
+
+  /**
+   * Stop the rebase, leaving the branch where it was
+   * @returns {Promise<void>}
+   */
+  async abort() {
+    if (this.done) {
+      throw new Error('Cannot abort a rebase that has already completed');
+    }
+    
+    // Commits replayed so far are unreferenced and left to gc()
+    this._clearConflict();
+    this.remaining = [];
+    this.aborted = true;
+  }
+
+  /**
+   * Replay the remaining commits until one conflicts or all are done
+   * @private
+   * @returns {Promise<RebaseState>} This state
+   */
+  async _run() {
+    let data = await this.branch.getDataAtCommit(this.head);
+    
+    while (this.remaining.length > 0) {
+      const commit = this.remaining.shift();
+      const result = await this.merge.replayCommit(commit, data);
+      
+      if (result.hasConflicts) {
+        this.current = commit;
+        this.mergedData = result.merged;
+        this.conflicts = result.conflicts;
+        this.hasConflicts = true;
+        return this;
+      }
+      
+      // The change is already on the new base
+      if (_.isEqual(result.merged, data)) {
+        this.skipped.push(commit.hash);
+        continue;
+      }
+      
+      await this._commit(commit, result.merged);
+      data = result.merged;
+    }
+    
+    if (this.head !== this.originalHead) {
+      await this.storage.writeBatch({
+        refs: [{
+          name: `branch/${this.branchName}`,
+          value: this.head,
+          expected: this.originalHead,
+          log: { operation: 'rebase', message: `Rebase onto ${this.onto}`, author: this.branch.author }
+        }]
+      });
+    }
+    
+    this.done = true;
+    return this;
+  }
+
+  /**
+   * Store a rewritten commit on top of the replayed chain
+   * @private
+   * @param {Object} commit - Original commit
+   * @param {Object} data - Data of the rewritten commit
+   * @returns {Promise<void>}
+   */
+  async _commit(commit, data) {
+    const tree = MerkleTree.fromObject(data);
+    const rewritten = Commit.create({
+      rootHash: tree.hash,
+      parents: [this.head],
+      author: commit.author,
+      message: commit.message,
+      branch: this.branchName
+    });
+    
+    await this.storage.writeBatch({
+      objects: await MerkleTree.collectNewNodes(this.storage, tree),
+      commits: [rewritten]
+    });
+    
+    this.replayed.push({ from: commit.hash, to: rewritten.hash });
+    this.head = rewritten.hash;
+  }
+
+  /**
+   * Check that the rebase is stopped at a conflict
+   * @private
+   * @throws {Error} If it is not
+   */
+  _ensurePaused() {
+    if (!this.current) {
+      throw new Error('Rebase is not stopped at a conflicting commit');
+    }
+  }
+
+  /**
+   * Forget the conflict of the current commit
+   * @private
+   */
+  _clearConflict() {
+    this.current = null;
+    this.mergedData = null;
+    this.conflicts = [];
+    this.hasConflicts = false;
+  }
+}
+
+module.exports = { Rebase, RebaseState };
@@ -0,0 +1,220 @@
+const Commit = require('./commit');
+const MergeState = require('./mergestate');
+const { MergeInProgressError } = require('./errors');
+
+/**
+ * Thins out the history of a branch according to a retention policy.
+ *
+ * A policy is a list of tiers ordered by age. Each tier covers commits up to
+ * an age (`upTo`, in milliseconds, omitted for the last tier) and keeps one
+ * commit per `every` milliseconds, or all of them when `every` is omitted:
+ *
+ *     [
+ *       { upTo: 7 * DAY },                // everything from the last week
+ *       { upTo: 30 * DAY, every: HOUR },  // then the last commit of each hour
+ *       { every: DAY }                    // then the last commit of each day
+ *     ]
+ *
+ * Dropped commits are squashed into the next retained commit by rewriting
+ * the first-parent chain. Retained commits keep their trees and timestamps,
+ * so reading the branch at a point in time still gives the state of the
+ * last retained commit before it. Merge commits are always retained, and
+ * history shared with other refs or a merge in progress is never rewritten.
+ */
+class Retention {
+  /**
+   * Create a retention manager
+   * @param {Object} storage - Storage instance
+   * @param {Object} branch - Branch manager
+   */
+  constructor(storage, branch) {
+    this.storage = storage;
+    this.branch = branch;
+  }
+
+  /**
+   * Check that a policy is well formed
+   * @param {Array<Object>} policy - Retention tiers
+   * @throws {Error} If the policy is invalid
+   */
+  static validatePolicy(policy) {
+    if (!Array.isArray(policy) || policy.length === 0) {
+      throw new Error('Retention policy must be a non-empty array of tiers');
+    }
+    
+    let previous = 0;
+    policy.forEach((tier, index) => {
+      const last = index === policy.length - 1;
+      
+      if (tier.upTo === undefined && !last) {
+        throw new Error(`Retention tier ${index} needs an 'upTo' age, only the last tier may omit it`);
+      }
+      if (tier.upTo !== undefined && !(tier.upTo > previous)) {
+        throw new Error(`Retention tier ${index} must cover ages beyond ${previous}ms`);
+      }
+      if (tier.every !== undefined && !(tier.every > 0)) {
+        throw new Error(`Retention tier ${index} has an invalid interval '${tier.every}'`);
+      }
+      
+      previous = tier.upTo;
+    });
+  }
+
+  /**
+   * Choose the commits a policy keeps. Within each tier, the last commit of
+   * every interval is kept; intervals are aligned to the epoch so they stay
+   * the same across runs. Commits older than the last tier are dropped.
+   * @param {Array<Object>} commits - Candidate commits, newest first
+   * @param {Array<Object>} policy - Retention tiers
+   * @param {number} now - Current time in milliseconds
+   * @returns {Set<string>} Hashes of the commits to keep
+   */
+  static selectRetained(commits, policy, now) {
+    const retained = new Set();
+    const buckets = new Set();
+    
+    for (const commit of commits) {
+      const age = now - commit.timestamp;
+      const tierIndex = policy.findIndex(tier => tier.upTo === undefined || age < tier.upTo);
+      if (tierIndex === -1) continue;
+      
+      const tier = policy[tierIndex];
+      if (!tier.every) {
+        retained.add(commit.hash);
+        continue;
+      }
+      
+      // Commits come newest first, so the first one seen in a bucket is its last
+      const bucket = `${tierIndex}:${Math.floor(commit.timestamp / tier.every)}`;
+      if (!buckets.has(bucket)) {
+        buckets.add(bucket);
+        retained.add(commit.hash);
+      }
+    }
+    
+    return retained;
+  }
+
+  /**
+   * Apply a retention policy to a branch, rewriting its history
+   * @param {string} branchName - Branch to thin out
+   * @param {Array<Object>} policy - Retention tiers
+   * @param {Object} [options] - Options
+   * @param {number} [options.now=Date.now()] - Time ages are measured from
+   * @returns {Promise<Object>} Result with the new `head`, and the number of
+   *   commits `retained` and `dropped`
+   * @throws {MergeInProgressError} If a merge into the branch is in progress
+   * @throws {RefConflictError} If the branch moved while its history was rewritten
+   */
+  async apply(branchName, policy, options = {}) {
+    Retention.validatePolicy(policy);
+    const now = options.now !== undefined ? options.now : Date.now();
+    
+    const headHash = await this.branch.getBranchHead(branchName);
+    if (!headHash) {
+      throw new Error(`Branch '${branchName}' not found`);
+    }
+    
+    // The merge would be applied on top of the head it was computed from
+    const merge = await this.branch.getMergeState();
+    if (merge && merge.targetBranch === branchName) {
+      throw new MergeInProgressError(merge.sourceBranch, merge.targetBranch);
+    }
+    
+    // Commits other refs can reach must keep their hashes
+    const shared = await this._sharedCommits(`branch/${branchName}`);
+    
+    const candidates = [];
+    let base = null;
+    for await (const commit of this.branch.walkCommits([headHash], { firstParent: true })) {
+      if (shared.has(commit.hash)) {
+        base = commit.hash;
+        break;
+      }
+      candidates.push(commit);
+    }
+    
+    // The head and merge commits are kept whatever the policy says
+    const retained = Retention.selectRetained(candidates, policy, now);
+    for (const commit of candidates) {
+      if (commit.hash === headHash || commit.parents.length > 1) retained.add(commit.hash);
+    }
+    
+    // Rebuild the chain oldest first on top of the untouched shared history
+    const commits = [];
+    let parent = base;
+    for (const commit of [...candidates].reverse()) {
+      if (!retained.has(commit.hash)) continue;
+      
+      const rewritten = Commit.create({
+        rootHash: commit.rootHash,
+        parents: [parent, ...commit.parents.slice(1)],
+        author: commit.author,
+        message: commit.message,
+        timestamp: commit.timestamp,
+        branch: commit.branch
+      });
+      
+      if (rewritten.hash !== commit.hash) {
+        commits.push(rewritten);
+      }
+      parent = rewritten.hash;
+    }
+    
+    if (parent !== headHash) {
+      await this.storage.writeBatch({
+        commits,
+        refs: [{
+          name: `branch/${branchName}`,
+          value: parent,
+          expected: headHash,
+          log: {
+            operation: 'retention',
+            message: `Squashed ${candidates.length - retained.size} commits`,
+            author: this.branch.author
+          }
+        }]
+      });
+    }
+    
+    return {
+      head: parent,
+      retained: retained.size,
+      dropped: candidates.length - retained.size
+    };
+  }
+
+  /**
+   * Collect the commits reachable from every ref except one, and from the
+   * commits of a merge in progress
+   * @private
+   * @param {string} excludedRef - Ref to leave out
+   * @returns {Promise<Set<string>>} Commit hashes
+   */
+  async _sharedCommits(excludedRef) {
+    const refs = await this.storage.listRefs('');
+    const starts = [];
+    
+    for (const [name, value] of Object.entries(refs)) {
+      if (name === excludedRef) continue;
+      
+      if (name === MergeState.REF) continue;
+      
+      const hash = name.startsWith('tag/') ? await this.branch.peelTag(value) : value;
+      if (await this.storage.getCommit(hash)) starts.push(hash);
+    }
+    
+    const merge = await this.branch.getMergeState();
+    if (merge) {
+      starts.push(merge.sourceHead, merge.targetHead, merge.ancestorHash);
+    }
+    
+    const shared = new Set();
+    for await (const commit of this.branch.walkCommits(starts)) {
+      shared.add(commit.hash);
+    }
+    return shared;
+  }
+}
+
+module.exports = Retention;
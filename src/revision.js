@@ -0,0 +1,97 @@
+// Lengths of the units accepted in relative dates like `@{3 days ago}`
+const UNITS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parser for git-style revision expressions.
+ *
+ * A revision starts with a name: `HEAD` (or `@`), a branch, a tag, a commit
+ * hash or a unique prefix of one. It may be followed by `@{date}` to go back
+ * along the first-parent line to the given time, or by `@{n}` for the value
+ * the ref had n moves ago according to the reflog, and then by any number of
+ * `~n` (n-th first-parent ancestor) and `^n` (n-th parent, `^0` being the
+ * commit itself) steps; `~` and `^` alone count as 1:
+ *
+ *     main~3
+ *     feature^2
+ *     main@{2024-01-01}
+ *     main@{1}
+ *     @{3 days ago}~1
+ */
+class Revision {
+  /**
+   * Split a revision expression into its parts
+   * @param {string} rev - Revision expression
+   * @returns {Object} Parsed revision with `base` name, optional `at` date
+   *   specification and the list of `steps` ({op: '~'|'^', count})
+   * @throws {Error} If the expression is empty
+   */
+  static parse(rev) {
+    if (typeof rev !== 'string' || rev.trim() === '') {
+      throw new Error('Revision must be a non-empty string');
+    }
+    
+    const match = /^(.*?)(?:@\{([^}]*)\})?((?:[~^]\d*)*)$/.exec(rev.trim());
+    const base = match[1] === '' || match[1] === '@' ? 'HEAD' : match[1];
+    
+    const steps = [];
+    for (const [, op, count] of match[3].matchAll(/([~^])(\d*)/g)) {
+      steps.push({ op, count: count === '' ? 1 : parseInt(count, 10) });
+    }
+    
+    return { base, at: match[2], steps };
+  }
+
+  /**
+   * Turn the date inside `@{...}` into a timestamp. Accepts anything
+   * Date.parse understands, and relative dates like `2 hours ago`.
+   * @param {string} spec - Date specification
+   * @param {number} [now=Date.now()] - Time relative dates are measured from
+   * @returns {number} Timestamp in milliseconds
+   * @throws {Error} If the date cannot be understood
+   */
+  static parseDate(spec, now = Date.now()) {
+    const text = spec.trim().toLowerCase();
+    
+    if (text === 'now') {
+      return now;
+    }
+    
+    const relative = /^(\d+)\s*(second|minute|hour|day|week)s?\s+ago$/.exec(text);
+    if (relative) {
+      return now - parseInt(relative[1], 10) * UNITS[relative[2]];
+    }
+    
+    const time = Date.parse(spec);
+    if (Number.isNaN(time)) {
+      throw new Error(`Invalid date '${spec}' in revision`);
+    }
+    
+    return time;
+  }
+
+  /**
+   * Check whether the text inside `@{...}` is a reflog position rather than a date
+   * @param {string} spec - Text inside the braces
+   * @returns {boolean} True for a plain number, as in `main@{2}`
+   */
+  static isReflogIndex(spec) {
+    return /^\s*\d+\s*$/.test(spec);
+  }
+
+  /**
+   * Check whether a name could be an abbreviated commit hash
+   * @param {string} name - Revision name
+   * @returns {boolean} True for 4 to 63 lowercase hex characters
+   */
+  static isShortHash(name) {
+    return /^[0-9a-f]{4,63}$/.test(name);
+  }
+}
+
+module.exports = Revision;
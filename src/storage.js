@@ -1,89 +1,93 @@
-
-
 const CryptoJS = require('crypto-js');
 const _ = require('lodash');
+const Path = require('./path');
+const MemoryAdapter = require('./adapters/memory');
+const IndexedDBAdapter = require('./adapters/indexeddb');
 
 /**
- * Storage class that implements content-addressable storage using IndexedDB
- * and provides utilities for working with nested object paths
+ * Interface implemented by storage adapters. Objects are passed to adapters
+ * already serialized; refs map names to strings; commits are plain objects
+ * keyed by their `hash`.
+ * @typedef {Object} StorageAdapter
+ * @property {function(): Promise<void>} init - Open the underlying store
+ * @property {function(): void} close - Close the underlying store
+ * @property {function(string): Promise<string|null>} getObject - Get a serialized object
+ * @property {function(Array<{hash: string, json: string}>): Promise<void>} putObjects - Store serialized objects
+ * @property {function(Array<string>): Promise<Set<string>>} hasObjects - Check which objects exist
+ * @property {function(string): Promise<string|null>} getRef - Get a ref value
+ * @property {function(string, string): Promise<void>} putRef - Set a ref value
+ * @property {function(string): Promise<void>} deleteRef - Delete a ref
+ * @property {function(string): Promise<Object>} listRefs - List refs by name prefix
+ * @property {function(string): Promise<Object|null>} getCommit - Get a commit
+ * @property {function(Object): Promise<void>} putCommit - Store a commit
+ * @property {function(string): Promise<void>} deleteCommit - Delete a commit
+ * @property {function(): Promise<Array<Object>>} listObjects - List stored objects as
+ *   `{hash, size, time}` entries, time being the write time in milliseconds or null
+ * @property {function(Array<string>): Promise<void>} deleteObjects - Delete objects by hash
+ * @property {function(): Promise<Array<Object>>} listCommits - List all commits
+ * @property {function(Object): Promise<void>} write - Write a batch of objects, commits
+ *   and ref updates as one unit, throwing RefConflictError without writing anything
+ *   if a ref does not have its expected value. Ref updates carrying a `log` also
+ *   append a reflog entry `{ref, old, new, ...log}`, `old` being the value replaced
+ * @property {function(string=): Promise<Array<Object>>} getReflog - Read the reflog
+ *   entries of a ref, or of all refs, oldest first
+ * @property {function(number): Promise<number>} expireReflog - Delete reflog entries
+ *   older than a timestamp, returning how many were deleted
+ */
+
+/**
+ * Storage class that implements content-addressable storage on top of a
+ * pluggable adapter and provides utilities for working with nested object paths
  */
 class Storage {
   /**
    * Creates a new Storage instance
-   * @param {string} dbName - Name of the IndexedDB database to use
+   * @param {Object|string} [options] - Options, or the database name
+   * @param {string} [options.name='temporal-db'] - Database name for the default adapter
+   * @param {StorageAdapter} [options.adapter] - Storage adapter; defaults to IndexedDB
+   *   where it is available and to an in-memory adapter otherwise
    */
-  constructor(dbName = 'temporal-db') {
-    this.dbName = dbName;
-    this.db = null;
-    this.stores = {
-      objects: 'objects', // content-addressable objects
-      refs: 'refs',       // branches and tags
-      commits: 'commits'  // commit metadata
-    };
+  constructor(options = {}) {
+    if (typeof options === 'string') {
+      options = { name: options };
+    }
+    
+    this.dbName = options.name || 'temporal-db';
+    this.adapter = options.adapter || Storage.defaultAdapter(this.dbName);
+    this.initialized = false;
+  }
+
+  /**
+   * Create the default adapter for the current environment
+   * @param {string} name - Database name
+   * @returns {StorageAdapter} IndexedDB adapter in browsers, memory adapter otherwise
+   */
+  static defaultAdapter(name) {
+    if (typeof indexedDB !== 'undefined') {
+      return new IndexedDBAdapter({ name });
+    }
+    
+    return new MemoryAdapter();
   }
 
   /**
-   * Initialize the storage and create database stores if needed
+   * Initialize the storage adapter
    * @returns {Promise<void>}
    */
   async init() {
-    if (this.db) return;
-
-    return new Promise((resolve, reject) => {
-      // For Node.js environment, use a polyfill (requires fake-indexeddb in test)
-      if (typeof window === 'undefined' && typeof global !== 'undefined') {
-        try {
-          // Try to require fake-indexeddb and set it up as a polyfill
-          const { indexedDB, IDBKeyRange } = require('fake-indexeddb');
-          global.indexedDB = indexedDB;
-          global.IDBKeyRange = IDBKeyRange;
-        } catch (error) {
-          reject(new Error('IndexedDB polyfill not available. Please install fake-indexeddb: npm install fake-indexeddb'));
-          return;
-        }
-      }
-
-      const request = indexedDB.open(this.dbName, 1);
-
-      request.onerror = (event) => {
-        reject(new Error(`Failed to open database: ${event.target.error}`));
-      };
-
-      request.onsuccess = (event) => {
-        this.db = event.target.result;
-        resolve();
-      };
-
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-        
-        // Create object store for content-addressable objects
-        if (!db.objectStoreNames.contains(this.stores.objects)) {
-          db.createObjectStore(this.stores.objects);
-        }
-        
-        // Create object store for refs (branches, tags)
-        if (!db.objectStoreNames.contains(this.stores.refs)) {
-          db.createObjectStore(this.stores.refs);
-        }
-        
-        // Create object store for commit metadata
-        if (!db.objectStoreNames.contains(this.stores.commits)) {
-          const commitStore = db.createObjectStore(this.stores.commits, { keyPath: 'hash' });
-          commitStore.createIndex('branch', 'branch', { unique: false });
-          commitStore.createIndex('timestamp', 'timestamp', { unique: false });
-        }
-      };
-    });
+    if (this.initialized) return;
+    
+    await this.adapter.init();
+    this.initialized = true;
   }
 
   /**
-   * Close the database connection
+   * Close the storage adapter
    */
   close() {
-    if (this.db) {
-      this.db.close();
-      this.db = null;
+    if (this.initialized) {
+      this.adapter.close();
+      this.initialized = false;
     }
   }
 
@@ -94,14 +98,28 @@ class Storage {
    * @returns {Promise<string>} Hash of the stored data
    */
   async put(data, providedHash) {
-    const json = JSON.stringify(data);
-    const hash = providedHash || CryptoJS.SHA256(json).toString();
+    const [hash] = await this.putMany([{ data, hash: providedHash }]);
+    return hash;
+  }
+
+  /**
+   * Store several objects at once
+   * @param {Array<Object>} entries - Objects to store, each with `data` and an optional `hash`
+   * @returns {Promise<Array<string>>} Hashes of the stored objects
+   */
+  async putMany(entries) {
+    this._ensureInitialized();
     
-    await this._withStore(this.stores.objects, 'readwrite', (store) => {
-      store.put(json, hash);
+    const records = entries.map(({ data, hash }) => {
+      const json = JSON.stringify(data);
+      return { json, hash: hash || CryptoJS.SHA256(json).toString() };
     });
     
-    return hash;
+    if (records.length > 0) {
+      await this.adapter.putObjects(records);
+    }
+    
+    return records.map(record => record.hash);
   }
 
   /**
@@ -110,10 +128,9 @@ class Storage {
    * @returns {Promise<Object|null>} Retrieved object or null if not found
    */
   async get(hash) {
-    const json = await this._withStore(this.stores.objects, 'readonly', (store) => {
-      return store.get(hash);
-    });
+    this._ensureInitialized();
     
+    const json = await this.adapter.getObject(hash);
     return json ? JSON.parse(json) : null;
   }
 
@@ -123,23 +140,52 @@ class Storage {
    * @returns {Promise<boolean>} True if object exists
    */
   async exists(hash) {
-    const result = await this._withStore(this.stores.objects, 'readonly', (store) => {
-      return store.count(hash);
-    });
+    const found = await this.existsMany([hash]);
+    return found.has(hash);
+  }
+
+  /**
+   * Check which of several hashes exist
+   * @param {Array<string>} hashes - Hashes to check
+   * @returns {Promise<Set<string>>} The hashes that exist
+   */
+  async existsMany(hashes) {
+    this._ensureInitialized();
     
-    return result > 0;
+    if (hashes.length === 0) return new Set();
+    return this.adapter.hasObjects(hashes);
   }
 
   /**
-   * Save a ref (branch pointer or tag)
+   * List all stored objects without loading them
+   * @returns {Promise<Array<Object>>} Entries with hash, size in bytes and write time
+   */
+  async listObjects() {
+    this._ensureInitialized();
+    return this.adapter.listObjects();
+  }
+
+  /**
+   * Delete objects by hash
+   * @param {Array<string>} hashes - Object hashes
+   * @returns {Promise<void>}
+   */
+  async deleteObjects(hashes) {
+    this._ensureInitialized();
+    
+    if (hashes.length === 0) return;
+    await this.adapter.deleteObjects(hashes);
+  }
+
+  /**
+   * Save a ref (branch pointer or tag), recording the change in the reflog
    * @param {string} name - Ref name
    * @param {string} hash - Hash the ref points to
+   * @param {Object} [log] - Reflog details (operation, message, author)
    * @returns {Promise<void>}
    */
-  async saveRef(name, hash) {
-    await this._withStore(this.stores.refs, 'readwrite', (store) => {
-      store.put(hash, name);
-    });
+  async saveRef(name, hash, log) {
+    await this.writeBatch({ refs: [{ name, value: hash, log }] });
   }
 
   /**
@@ -148,20 +194,49 @@ class Storage {
    * @returns {Promise<string|null>} Hash the ref points to or null
    */
   async getRef(name) {
-    return this._withStore(this.stores.refs, 'readonly', (store) => {
-      return store.get(name);
-    });
+    this._ensureInitialized();
+    return this.adapter.getRef(name);
   }
 
   /**
-   * Delete a ref by name
+   * Delete a ref by name, recording its last value in the reflog
    * @param {string} name - Ref name to delete
+   * @param {Object} [log] - Reflog details (operation, message, author)
    * @returns {Promise<void>}
    */
-  async deleteRef(name) {
-    await this._withStore(this.stores.refs, 'readwrite', (store) => {
-      store.delete(name);
-    });
+  async deleteRef(name, log) {
+    await this.writeBatch({ refs: [{ name, value: null, log }] });
+  }
+
+  /**
+   * Read the reflog of a ref
+   * @param {string} [name] - Ref name, omit for the entries of all refs
+   * @returns {Promise<Array<Object>>} Entries with ref, old and new value,
+   *   operation, message, author and timestamp, oldest first
+   */
+  async getReflog(name) {
+    this._ensureInitialized();
+    return this.adapter.getReflog(name);
+  }
+
+  /**
+   * Delete reflog entries older than a point in time
+   * @param {number} before - Entries with an earlier timestamp are deleted
+   * @returns {Promise<number>} Number of entries deleted
+   */
+  async expireReflog(before) {
+    this._ensureInitialized();
+    return this.adapter.expireReflog(before);
+  }
+
+  /**
+   * Check whether updates of a ref are recorded in the reflog. Branches,
+   * tags and HEAD are; internal refs like FORMAT are not.
+   * @param {string} name - Ref name
+   * @returns {boolean} True if the ref is logged
+   */
+  static isLoggedRef(name) {
+    return name === 'HEAD' || name.startsWith('branch/') || name.startsWith('tag/');
   }
 
   /**
@@ -170,36 +245,18 @@ class Storage {
    * @returns {Promise<Object>} Object mapping ref names to their hashes
    */
   async listRefs(prefix = '') {
-    return this._withStore(this.stores.refs, 'readonly', (store) => {
-      return new Promise((resolve) => {
-        const refs = {};
-        const request = store.openCursor();
-        
-        request.onsuccess = (event) => {
-          const cursor = event.target.result;
-          if (cursor) {
-            const key = cursor.key;
-            if (!prefix || key.startsWith(prefix)) {
-              refs[key] = cursor.value;
-            }
-            cursor.continue();
-          } else {
-            resolve(refs);
-          }
-        };
-      });
-    });
+    this._ensureInitialized();
+    return this.adapter.listRefs(prefix);
   }
 
   /**
    * Save commit metadata
-   * @param {Object} commit - Commit object with hash, parent, branch and timestamp
+   * @param {Object} commit - Commit object with hash, rootHash, parents, author, message and timestamp
    * @returns {Promise<void>}
    */
   async saveCommit(commit) {
-    await this._withStore(this.stores.commits, 'readwrite', (store) => {
-      store.put(commit);
-    });
+    this._ensureInitialized();
+    await this.adapter.putCommit(commit);
   }
 
   /**
@@ -208,34 +265,86 @@ class Storage {
    * @returns {Promise<Object|null>} Commit metadata or null
    */
   async getCommit(hash) {
-    return this._withStore(this.stores.commits, 'readonly', (store) => {
-      return store.get(hash);
+    this._ensureInitialized();
+    return this.adapter.getCommit(hash);
+  }
+
+  /**
+   * Delete commit metadata by hash
+   * @param {string} hash - Commit hash
+   * @returns {Promise<void>}
+   */
+  async deleteCommit(hash) {
+    this._ensureInitialized();
+    await this.adapter.deleteCommit(hash);
+  }
+
+  /**
+   * List all stored commits
+   * @returns {Promise<Array<Object>>} Array of commit metadata objects
+   */
+  async listCommits() {
+    this._ensureInitialized();
+    return this.adapter.listCommits();
+  }
+
+  /**
+   * Write objects, commits and ref updates as one unit. A ref update with an
+   * `expected` value is a compare-and-swap: if the ref does not currently have
+   * that value (null meaning absent), nothing is written and a
+   * RefConflictError is thrown. Updates of logged refs are recorded in the
+   * reflog in the same write.
+   * @param {Object} batch - Batch to write
+   * @param {Array<Object>} [batch.objects] - Objects with `data` and optional `hash`
+   * @param {Array<Object>} [batch.commits] - Commit objects
+   * @param {Array<Object>} [batch.refs] - Ref updates with `name`, `value` (null to
+   *   delete), optional `expected`, and optional `log` with the `operation`,
+   *   `message` and `author` to record
+   * @returns {Promise<void>}
+   */
+  async writeBatch(batch) {
+    this._ensureInitialized();
+    
+    const objects = (batch.objects || []).map(({ data, hash }) => {
+      const json = JSON.stringify(data);
+      return { json, hash: hash || CryptoJS.SHA256(json).toString() };
+    });
+    
+    const timestamp = Date.now();
+    const refs = (batch.refs || []).map(({ name, value, expected, log }) => {
+      const update = { name, value, expected };
+      
+      if (Storage.isLoggedRef(name)) {
+        log = log || {};
+        update.log = {
+          operation: log.operation || (value === null ? 'delete' : 'update'),
+          message: log.message || '',
+          author: log.author || null,
+          timestamp
+        };
+      }
+      
+      return update;
+    });
+    
+    await this.adapter.write({
+      objects,
+      commits: batch.commits || [],
+      refs
     });
   }
 
   /**
-   * List commits for a branch, most recent first
+   * List commits made on a branch, most recent first. This only looks at the
+   * branch a commit was created on; use Branch#getHistory for a branch's history.
    * @param {string} branch - Branch name
    * @returns {Promise<Array<Object>>} Array of commit metadata objects
    */
   async getCommitsForBranch(branch) {
-    return this._withStore(this.stores.commits, 'readonly', (store) => {
-      return new Promise((resolve) => {
-        const index = store.index('branch');
-        const commits = [];
-        const request = index.openCursor(IDBKeyRange.only(branch), 'prev');
-        
-        request.onsuccess = (event) => {
-          const cursor = event.target.result;
-          if (cursor) {
-            commits.push(cursor.value);
-            cursor.continue();
-          } else {
-            resolve(commits);
-          }
-        };
-      });
-    });
+    const commits = await this.listCommits();
+    return commits
+      .filter(commit => commit.branch === branch)
+      .sort((a, b) => b.timestamp - a.timestamp);
   }
 
   /**
@@ -245,73 +354,24 @@ class Storage {
    * @returns {Promise<Array<Object>>} Array of commit metadata objects
    */
   async getCommitsAfterDate(branch, date) {
-    return this._withStore(this.stores.commits, 'readonly', (store) => {
-      return new Promise((resolve) => {
-        const index = store.index('timestamp');
-        const commits = [];
-        const timestamp = date.getTime();
-        
-        // Get commits after the timestamp for the specific branch
-        const request = index.openCursor(IDBKeyRange.lowerBound(timestamp), 'next');
-        
-        request.onsuccess = (event) => {
-          const cursor = event.target.result;
-          if (cursor) {
-            if (cursor.value.branch === branch) {
-              commits.push(cursor.value);
-            }
-            cursor.continue();
-          } else {
-            resolve(commits);
-          }
-        };
-      });
-    });
+    const timestamp = date.getTime();
+    const commits = await this.listCommits();
+    return commits
+      .filter(commit => commit.branch === branch && commit.timestamp >= timestamp)
+      .sort((a, b) => a.timestamp - b.timestamp);
   }
 
   /**
-   * Helper for working with object stores
+   * Helper to ensure the storage is initialized
    * @private
-   * @param {string} storeName - Name of the store to use
-   * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
-   * @param {Function} callback - Function to execute with the store
-   * @returns {Promise<any>} Result of the callback
    */
-  async _withStore(storeName, mode, callback) {
-    if (!this.db) {
+  _ensureInitialized() {
+    if (!this.initialized) {
       throw new Error('Database not initialized, call init() first');
     }
-
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(storeName, mode);
-      const store = transaction.objectStore(storeName);
-      
-      transaction.oncomplete = () => {
-        resolve(result);
-      };
-      
-      transaction.onerror = (event) => {
-        reject(new Error(`Transaction error: ${event.target.error}`));
-      };
-      
-      let result;
-      try {
-        result = callback(store);
-        if (result instanceof IDBRequest) {
-          result.onsuccess = () => {
-            result = result.result;
-          };
-          result.onerror = (event) => {
-            reject(new Error(`Request error: ${event.target.error}`));
-          };
-        }
-      } catch (error) {
-        reject(error);
-      }
-    });
   }
 
-  // Path Utilities
+  // Path Utilities, paths use the escaped format described in path.js
 
   /**
    * Get a value at a specified path in an object
@@ -320,7 +380,8 @@ class Storage {
    * @returns {*} Value at path or undefined
    */
   static getValueAtPath(obj, path) {
-    return _.get(obj, path);
+    const segments = Path.parse(path);
+    return segments.length === 0 ? obj : _.get(obj, segments);
   }
 
   /**
@@ -331,18 +392,32 @@ class Storage {
    * @returns {Object} New object with the value set
    */
   static setValueAtPath(obj, path, value) {
-    return _.set(_.cloneDeep(obj), path, value);
+    const segments = Path.parse(path);
+    if (segments.length === 0) return _.cloneDeep(value);
+    
+    return _.set(_.cloneDeep(obj), segments, value);
   }
 
   /**
-   * Delete a value at a specified path in an object
+   * Delete a value at a specified path in an object. Array elements are
+   * removed, shifting the elements after them, rather than left as holes.
    * @param {Object} obj - Object to modify
    * @param {string|Array<string>} path - Path to delete
    * @returns {Object} New object with the value removed
    */
   static deleteValueAtPath(obj, path) {
+    const segments = Path.parse(path);
+    if (segments.length === 0) return undefined;
+    
     const result = _.cloneDeep(obj);
-    _.unset(result, path);
+    const parent = segments.length > 1 ? _.get(result, segments.slice(0, -1)) : result;
+    const key = segments[segments.length - 1];
+    
+    if (Array.isArray(parent) && /^\d+$/.test(String(key))) {
+      if (Number(key) < parent.length) parent.splice(Number(key), 1);
+    } else {
+      _.unset(result, segments);
+    }
     return result;
   }
 
@@ -0,0 +1,53 @@
+const { hashObject } = require('./hash');
+
+/**
+ * Helpers for annotated tag objects.
+ *
+ * A lightweight tag is a `tag/<name>` ref pointing straight at a commit. An
+ * annotated tag points at a tag object instead, which records the tagged
+ * commit together with a message, the tagger and the time of tagging. Tag
+ * objects live in the object store next to tree nodes.
+ */
+class Tag {
+  /**
+   * Create an annotated tag object with its hash filled in
+   * @param {Object} fields - Tag fields
+   * @param {string} fields.name - Tag name
+   * @param {string} fields.commit - Hash of the tagged commit
+   * @param {string} [fields.message=''] - Tag message
+   * @param {string|null} [fields.tagger=null] - Who created the tag
+   * @param {number} [fields.timestamp=Date.now()] - Tag time in milliseconds
+   * @returns {Object} Tag object
+   */
+  static create({ name, commit, message = '', tagger = null, timestamp = Date.now() }) {
+    const tag = { type: 'tag', name, commit, message, tagger, timestamp };
+    tag.hash = Tag.hash(tag);
+    return tag;
+  }
+
+  /**
+   * Compute the hash identifying a tag object
+   * @param {Object} tag - Tag object
+   * @returns {string} Tag hash
+   */
+  static hash(tag) {
+    return hashObject('tag', {
+      name: tag.name,
+      commit: tag.commit,
+      message: tag.message,
+      tagger: tag.tagger,
+      timestamp: tag.timestamp
+    });
+  }
+
+  /**
+   * Check whether a stored object is an annotated tag
+   * @param {*} object - Stored object
+   * @returns {boolean} True for tag objects
+   */
+  static isTag(object) {
+    return Boolean(object) && object.type === 'tag';
+  }
+}
+
+module.exports = Tag;
@@ -0,0 +1,164 @@
+const Diff = require('./diff');
+
+// Marker lines framing the sides of a textual conflict, as in diff3 output
+const MARKERS = {
+  target: '<<<<<<< target',
+  ancestor: '||||||| ancestor',
+  separator: '=======',
+  source: '>>>>>>> source'
+};
+
+/**
+ * Line and word level diff and three-way merge of strings.
+ *
+ * Strings are split into tokens, either lines (keeping their line endings)
+ * or words and the whitespace between them, so joining the tokens gives back
+ * the exact string. The three-way merge works like diff3: regions changed on
+ * one side only are taken from that side, and regions both sides changed
+ * differently become conflicts.
+ */
+class TextMerge {
+  /**
+   * Split a string into tokens
+   * @param {string} text - Text to split
+   * @param {string} [granularity='line'] - 'line' or 'word'
+   * @returns {Array<string>} Tokens
+   */
+  static tokenize(text, granularity = 'line') {
+    if (granularity === 'line') {
+      return text.match(/[^\n]*\n|[^\n]+/g) || [];
+    }
+    if (granularity === 'word') {
+      return text.match(/\s+|\S+/g) || [];
+    }
+    
+    throw new Error(`Invalid text granularity '${granularity}', expected 'line' or 'word'`);
+  }
+
+  /**
+   * Compute a textual diff between two strings
+   * @param {string} oldText - Previous text
+   * @param {string} newText - New text
+   * @param {Object} [options] - Diff options
+   * @param {string} [options.granularity='line'] - 'line' or 'word'
+   * @returns {Array<Object>} Hunks in order, each with a `type` ('equal',
+   *   'delete' or 'insert') and the `value` it covers
+   */
+  static diff(oldText, newText, options = {}) {
+    const a = TextMerge.tokenize(oldText, options.granularity);
+    const b = TextMerge.tokenize(newText, options.granularity);
+    const hunks = [];
+    
+    const push = (type, tokens) => {
+      if (tokens.length === 0) return;
+      
+      const last = hunks[hunks.length - 1];
+      if (last && last.type === type) {
+        last.value += tokens.join('');
+      } else {
+        hunks.push({ type, value: tokens.join('') });
+      }
+    };
+    
+    let i = 0;
+    let j = 0;
+    for (const [ai, bj] of [...Diff._longestCommonSubsequence(a, b), [a.length, b.length]]) {
+      push('delete', a.slice(i, ai));
+      push('insert', b.slice(j, bj));
+      push('equal', a.slice(ai, ai + 1));
+      i = ai + 1;
+      j = bj + 1;
+    }
+    
+    return hunks;
+  }
+
+  /**
+   * Three-way merge of strings
+   * @param {string} ancestor - Common ancestor text
+   * @param {string} source - Source text
+   * @param {string} target - Target text
+   * @param {Object} [options] - Merge options
+   * @param {string} [options.granularity='line'] - 'line' or 'word'
+   * @returns {Object} Result with `hasConflicts`, the `merged` text (with
+   *   conflict markers when there are conflicts) and the `hunks`: merged text
+   *   as `{type: 'merged', value}` and conflicts as
+   *   `{type: 'conflict', ancestor, source, target}`
+   */
+  static merge(ancestor, source, target, options = {}) {
+    const o = TextMerge.tokenize(ancestor, options.granularity);
+    const s = TextMerge.tokenize(source, options.granularity);
+    const t = TextMerge.tokenize(target, options.granularity);
+    
+    const toSource = new Map(Diff._longestCommonSubsequence(o, s));
+    const toTarget = new Map(Diff._longestCommonSubsequence(o, t));
+    
+    const hunks = [];
+    const push = (hunk) => {
+      const last = hunks[hunks.length - 1];
+      if (hunk.type === 'merged' && last && last.type === 'merged') {
+        last.value += hunk.value;
+      } else if (hunk.type === 'conflict' || hunk.value !== '') {
+        hunks.push(hunk);
+      }
+    };
+    
+    let io = 0;
+    let is = 0;
+    let it = 0;
+    
+    while (io <= o.length) {
+      // Ancestor tokens kept by both sides anchor the regions between them
+      let anchor = io;
+      while (anchor < o.length && !(toSource.has(anchor) && toTarget.has(anchor))) {
+        anchor++;
+      }
+      
+      const endS = anchor < o.length ? toSource.get(anchor) : s.length;
+      const endT = anchor < o.length ? toTarget.get(anchor) : t.length;
+      const base = o.slice(io, anchor).join('');
+      const fromSource = s.slice(is, endS).join('');
+      const fromTarget = t.slice(it, endT).join('');
+      
+      if (fromSource === base || fromSource === fromTarget) {
+        push({ type: 'merged', value: fromTarget });
+      } else if (fromTarget === base) {
+        push({ type: 'merged', value: fromSource });
+      } else {
+        push({ type: 'conflict', ancestor: base, source: fromSource, target: fromTarget });
+      }
+      
+      if (anchor === o.length) break;
+      
+      push({ type: 'merged', value: o[anchor] });
+      io = anchor + 1;
+      is = endS + 1;
+      it = endT + 1;
+    }
+    
+    const hasConflicts = hunks.some(hunk => hunk.type === 'conflict');
+    
+    return {
+      hasConflicts,
+      merged: hunks.map(hunk => (hunk.type === 'merged' ? hunk.value : TextMerge._markers(hunk))).join(''),
+      hunks
+    };
+  }
+
+  /**
+   * Render a conflicting hunk with diff3 style conflict markers
+   * @private
+   * @param {Object} hunk - Conflicting hunk
+   * @returns {string} Marked text
+   */
+  static _markers(hunk) {
+    const line = (text) => (text === '' || text.endsWith('\n') ? text : `${text}\n`);
+    
+    return `${MARKERS.target}\n${line(hunk.target)}` +
+      `${MARKERS.ancestor}\n${line(hunk.ancestor)}` +
+      `${MARKERS.separator}\n${line(hunk.source)}` +
+      `${MARKERS.source}\n`;
+  }
+}
+
+module.exports = TextMerge;